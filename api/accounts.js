@@ -0,0 +1,231 @@
+// Account registration, password reset and profile editing
+// Usernames: unique regardless of case, claimed in usernames/<lowercase username> = uid.
+//            Users created before the index existed are still checked against users/.
+// Profiles:  users/<uid> = { username, displayName, photoURL, bio, email, oms, createdAt }
+//            Only PROFILE_FIELDS can be changed by the owner; oms, email and roles never are.
+// Password resets go through the store: Firebase emails a reset code (oobCode), the local
+// store prints it to the server log.
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 300;
+const MAX_PHOTO_URL_LENGTH = 2048;
+const PROFILE_FIELDS = ['username', 'displayName', 'photoURL', 'bio'];
+
+// Store error codes (Identity Toolkit names, also used by the local store) -> HTTP failures
+const SIGN_UP_ERRORS = {
+  EMAIL_EXISTS: [409, 'An account with that email already exists'],
+  INVALID_EMAIL: [400, 'Enter a valid email address'],
+  WEAK_PASSWORD: [400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`]
+};
+const RESET_ERRORS = {
+  INVALID_OOB_CODE: [400, 'Invalid or already used reset code'],
+  EXPIRED_OOB_CODE: [400, 'Reset code has expired'],
+  WEAK_PASSWORD: [400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`]
+};
+
+function usernameKey(username) {
+  return username.toLowerCase();
+}
+
+function validateEmail(email) {
+  if (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email.trim())) {
+    return 'Enter a valid email address';
+  }
+  return null;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 letters, numbers, dots, dashes or underscores';
+  }
+  return null;
+}
+
+function validatePhotoURL(photoURL) {
+  if (photoURL === null) return null;
+  if (typeof photoURL !== 'string' || photoURL.length > MAX_PHOTO_URL_LENGTH) {
+    return 'photoURL must be an https URL';
+  }
+  try {
+    if (new URL(photoURL).protocol === 'https:') return null;
+  } catch (e) {
+    // Not a URL
+  }
+  return 'photoURL must be an https URL';
+}
+
+function createAccounts(store) {
+  function failure(status, error) {
+    return { ok: false, status, error };
+  }
+
+  function storeFailure(errors, code, fallback) {
+    // Identity Toolkit appends details, e.g. "WEAK_PASSWORD : Password should be ..."
+    const known = errors[String(code || '').split(' ')[0]];
+    return known ? failure(known[0], known[1]) : failure(400, fallback);
+  }
+
+  // Whether someone other than uid has the username
+  async function isUsernameTaken(username, uid = null) {
+    const owner = await store.users.getUsernameOwner(usernameKey(username));
+    if (owner) return owner !== uid;
+
+    const key = usernameKey(username);
+    return Object.entries(await store.users.list() || {})
+      .some(([otherUid, user]) => otherUid !== uid && typeof user.username === 'string' && usernameKey(user.username) === key);
+  }
+
+  // Resolves to { ok: true, data: { idToken, refreshToken, expiresIn, localId, email, user } } or a failure
+  async function register({ email, password, username }) {
+    const error = validateEmail(email) || validatePassword(password) || validateUsername(username);
+    if (error) return failure(400, error);
+
+    if (await isUsernameTaken(username)) {
+      return failure(409, 'Username is already taken');
+    }
+
+    const signUp = await store.auth.signUp(email.trim().toLowerCase(), password);
+    if (!signUp.ok) {
+      return storeFailure(SIGN_UP_ERRORS, signUp.error, 'Registration failed');
+    }
+
+    const uid = signUp.data.localId;
+    // Someone else took the name between the check and the sign-up
+    if (!await store.users.claimUsername(usernameKey(username), uid)) {
+      await store.auth.deleteAccount(uid);
+      return failure(409, 'Username is already taken');
+    }
+
+    const user = {
+      username,
+      displayName: username,
+      photoURL: null,
+      bio: '',
+      email: signUp.data.email,
+      oms: 0,
+      createdAt: Date.now()
+    };
+    await store.users.update(uid, user);
+
+    return { ok: true, data: { ...signUp.data, user } };
+  }
+
+  // Unknown emails are not reported, so the endpoint can't be used to find accounts
+  async function requestPasswordReset(email) {
+    if (validateEmail(email)) return failure(400, 'Enter a valid email address');
+    const result = await store.auth.sendPasswordReset(email.trim().toLowerCase());
+    if (!result.ok && result.error !== 'EMAIL_NOT_FOUND') {
+      console.error(`❌ Password reset email failed: ${result.error}`);
+    }
+    return { ok: true };
+  }
+
+  async function resetPassword(code, password) {
+    if (typeof code !== 'string' || !code.trim()) return failure(400, 'Reset code is required');
+    const error = validatePassword(password);
+    if (error) return failure(400, error);
+
+    const result = await store.auth.confirmPasswordReset(code.trim(), password);
+    if (!result.ok) {
+      return storeFailure(RESET_ERRORS, result.error, 'Password reset failed');
+    }
+    return { ok: true };
+  }
+
+  // Resolves to { ok: true, patch } with trimmed values, or a failure
+  function validateProfilePatch(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return failure(400, 'Expected a JSON object');
+    }
+
+    const unknown = Object.keys(body).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return failure(400, `Cannot change: ${unknown.join(', ')}`);
+    }
+
+    const patch = {};
+    if (body.username !== undefined) {
+      const error = validateUsername(body.username);
+      if (error) return failure(400, error);
+      patch.username = body.username;
+    }
+    if (body.displayName !== undefined) {
+      const displayName = typeof body.displayName === 'string' ? body.displayName.trim() : '';
+      if (!displayName || displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+        return failure(400, `displayName must be 1-${MAX_DISPLAY_NAME_LENGTH} characters`);
+      }
+      patch.displayName = displayName;
+    }
+    if (body.photoURL !== undefined) {
+      const photoURL = typeof body.photoURL === 'string' ? body.photoURL.trim() || null : body.photoURL;
+      const error = validatePhotoURL(photoURL);
+      if (error) return failure(400, error);
+      patch.photoURL = photoURL;
+    }
+    if (body.bio !== undefined) {
+      if (typeof body.bio !== 'string' || body.bio.trim().length > MAX_BIO_LENGTH) {
+        return failure(400, `bio must be at most ${MAX_BIO_LENGTH} characters`);
+      }
+      patch.bio = body.bio.trim();
+    }
+
+    if (Object.keys(patch).length === 0) {
+      return failure(400, `Nothing to update (allowed: ${PROFILE_FIELDS.join(', ')})`);
+    }
+    return { ok: true, patch };
+  }
+
+  // Resolves to { ok: true, user } with the updated record, or a failure
+  async function updateProfile(uid, body) {
+    const validated = validateProfilePatch(body);
+    if (!validated.ok) return validated;
+    const { patch } = validated;
+
+    const user = await store.users.get(uid);
+    if (!user) return failure(404, 'User not found');
+
+    const oldUsername = typeof user.username === 'string' ? user.username : null;
+    const renamed = patch.username && patch.username !== oldUsername;
+    const rekeyed = renamed && (!oldUsername || usernameKey(patch.username) !== usernameKey(oldUsername));
+
+    if (rekeyed) {
+      if (await isUsernameTaken(patch.username, uid) || !await store.users.claimUsername(usernameKey(patch.username), uid)) {
+        return failure(409, 'Username is already taken');
+      }
+    }
+
+    await store.users.update(uid, patch);
+
+    if (rekeyed && oldUsername) {
+      await store.users.releaseUsername(usernameKey(oldUsername), uid);
+    }
+    if (renamed) {
+      console.log(`🪪 ${oldUsername || uid} is now ${patch.username}`);
+    }
+
+    return { ok: true, user: { ...user, ...patch } };
+  }
+
+  return {
+    register,
+    requestPasswordReset,
+    resetPassword,
+    updateProfile
+  };
+}
+
+module.exports = { createAccounts };
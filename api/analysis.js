@@ -0,0 +1,659 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Readable, pipeline } = require('stream');
+const fetch = require('node-fetch');
+
+// Server-side audio analysis for tracks and DEEPWAVES previews
+// Each source is decoded once, in the background, one job at a time:
+//   - loudness: integrated LUFS (ITU-R BS.1770-4, K-weighted and gated) and sample peak in dBFS
+//   - tempo: a BPM estimate from the autocorrelation of the onset envelope (null when unsure)
+//   - waveform: the whole track squeezed into `points` columns, each the peak (0-255) of its
+//     low (<200 Hz), mid and high (>2 kHz) band
+//
+// Results: audioAnalysis/tracks/<trackId> and audioAnalysis/projects/<projectId>/<versionId>
+//   = { status: 'pending' | 'ready' | 'failed', source, ... }
+// `source` is a hash of the audio URL, so a track whose stream_url changes is analyzed again
+// (and the URL itself is never stored or returned).
+//
+// WAV files are decoded here; anything else is piped through ffmpeg (FFMPEG_PATH). Either way
+// the samples are analyzed as they're decoded, a slice at a time, rather than held in memory.
+
+const WAVEFORM_POINTS = 1000;
+const MAX_SECONDS = 30 * 60;
+const FFMPEG_SAMPLE_RATE = 44100;
+const FFMPEG_TIMEOUT_MS = 2 * 60 * 1000;
+// Reading a source (download included) must finish within this
+const SOURCE_TIMEOUT_MS = 2 * 60 * 1000;
+// Chunks before a WAV's audio data (metadata, cover art) are buffered up to this much
+const MAX_WAV_HEADER_BYTES = 4 * 1024 * 1024;
+// Failed analyses (unreadable or unsupported audio) are retried after this long
+const RETRY_FAILED_MS = 60 * 60 * 1000;
+// Yield to the event loop this often while crunching samples
+const FRAMES_PER_SLICE = 65536;
+
+const LOW_BAND_HZ = 200;
+const HIGH_BAND_HZ = 2000;
+const ONSET_FRAMES_PER_SECOND = 200;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const MIN_BPM_SECONDS = 6;
+const MIN_BPM_CONFIDENCE = 0.05;
+// Mean rise of the (log) onset envelope below which there's no beat to find (drones, silence)
+const MIN_ONSET_STRENGTH = 0.001;
+
+function hashSource(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+function nextSlice() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// ========================================
+// DECODING
+// ========================================
+
+function wavSampleReader({ code, bits }) {
+  if (code === 1 && bits === 8) return (buffer, at) => (buffer.readUInt8(at) - 128) / 128;
+  if (code === 1 && bits === 16) return (buffer, at) => buffer.readInt16LE(at) / 32768;
+  if (code === 1 && bits === 24) return (buffer, at) => buffer.readIntLE(at, 3) / 8388608;
+  if (code === 1 && bits === 32) return (buffer, at) => buffer.readInt32LE(at) / 2147483648;
+  if (code === 3 && bits === 32) return (buffer, at) => buffer.readFloatLE(at);
+  if (code === 3 && bits === 64) return (buffer, at) => buffer.readDoubleLE(at);
+  return null;
+}
+
+function isWav(buffer) {
+  return buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+// Reads a PCM or float WAV as it arrives and hands its samples to an analyzer, at most
+// FRAMES_PER_SLICE frames at a time, so only one chunk of the audio is ever decoded.
+// A data size of 0 or 0xFFFFFFFF (ffmpeg writing to a pipe can't go back to fill it in), or
+// one past the end, means "until the end of the stream"
+function createWavReader() {
+  let head = Buffer.alloc(0);
+  let format = null;
+  let read = null;
+  let frameBytes = 0;
+  let remaining = 0;
+  let carry = null;
+  let analyzer = null;
+  let slice = null;
+
+  // Walks the chunks before the audio data; false until the data chunk's header has arrived
+  function parseHead() {
+    if (head.length >= 12 && !isWav(head)) throw new Error('Not a WAV file');
+    let offset = 12;
+    while (offset + 8 <= head.length) {
+      const id = head.toString('ascii', offset, offset + 4);
+      const size = head.readUInt32LE(offset + 4);
+      const start = offset + 8;
+
+      if (id === 'data') {
+        if (!format) throw new Error('WAV data before its format');
+        startData(size === 0 || size === 0xffffffff ? Infinity : size);
+        const rest = head.subarray(start);
+        head = null;
+        pushData(rest);
+        return true;
+      }
+      if (start + size > head.length) return false;
+
+      if (id === 'fmt ' && size >= 16) {
+        let code = head.readUInt16LE(start);
+        // WAVE_FORMAT_EXTENSIBLE: the real format is the first two bytes of the sub-format GUID
+        if (code === 0xfffe && size >= 26) code = head.readUInt16LE(start + 24);
+        format = {
+          code,
+          channels: head.readUInt16LE(start + 2),
+          sampleRate: head.readUInt32LE(start + 4),
+          bits: head.readUInt16LE(start + 14)
+        };
+      }
+      offset = start + size + (size % 2);
+    }
+    return false;
+  }
+
+  function startData(size) {
+    read = wavSampleReader(format);
+    if (!read || format.channels < 1 || format.sampleRate < 8000) {
+      throw new Error(`Unsupported WAV encoding (format ${format.code}, ${format.bits}-bit)`);
+    }
+    frameBytes = format.bits / 8 * format.channels;
+    remaining = size;
+    analyzer = createAnalyzer(format.sampleRate, format.channels);
+    slice = Array.from({ length: format.channels }, () => new Float32Array(FRAMES_PER_SLICE));
+  }
+
+  function pushData(chunk) {
+    if (remaining <= 0 || chunk.length === 0) return;
+    let data = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+    remaining -= data.length;
+    if (carry) data = Buffer.concat([carry, data]);
+
+    const frames = Math.floor(data.length / frameBytes);
+    if (analyzer.frames() + frames > MAX_SECONDS * format.sampleRate) {
+      throw new Error(`Audio is longer than ${MAX_SECONDS / 60} minutes`);
+    }
+
+    const bytesPerSample = format.bits / 8;
+    for (let first = 0; first < frames; first += FRAMES_PER_SLICE) {
+      const count = Math.min(FRAMES_PER_SLICE, frames - first);
+      for (let c = 0; c < format.channels; c++) {
+        const samples = slice[c];
+        for (let i = 0, at = first * frameBytes + c * bytesPerSample; i < count; i++, at += frameBytes) {
+          samples[i] = read(data, at);
+        }
+      }
+      analyzer.push(slice, count);
+    }
+
+    const leftover = data.length - frames * frameBytes;
+    carry = leftover > 0 ? Buffer.from(data.subarray(data.length - leftover)) : null;
+  }
+
+  return {
+    push(chunk) {
+      if (analyzer) return pushData(chunk);
+      head = Buffer.concat([head, chunk]);
+      if (!parseHead() && head.length > MAX_WAV_HEADER_BYTES) {
+        throw new Error('WAV file has no audio data');
+      }
+    },
+
+    finish(points) {
+      if (!analyzer || analyzer.frames() === 0) throw new Error('WAV file has no audio data');
+      return analyzer.finish(points);
+    }
+  };
+}
+
+// The source's chunks, failing as soon as it goes over maxBytes (servers may not send a length)
+async function* limitBytes(stream, maxBytes) {
+  let total = 0;
+  for await (const chunk of stream) {
+    total += chunk.length;
+    if (total > maxBytes) throw new Error(tooLarge(maxBytes));
+    yield chunk;
+  }
+}
+
+function tooLarge(maxBytes) {
+  return `Audio is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB`;
+}
+
+// Reads the first bytes of a source (enough to recognize a WAV) and hands back every chunk,
+// those included
+async function peek(chunks, length) {
+  const iterator = chunks[Symbol.asyncIterator]();
+  const head = [];
+  let size = 0;
+  let done = false;
+  while (size < length && !done) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+    } else {
+      head.push(next.value);
+      size += next.value.length;
+    }
+  }
+
+  async function* all() {
+    yield* head;
+    for (let next = done ? null : await iterator.next(); next && !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  }
+  return { head: Buffer.concat(head), chunks: all() };
+}
+
+// Analyzes a WAV as its chunks are read, yielding to the event loop between them
+async function analyzeWav(chunks, points) {
+  const reader = createWavReader();
+  for await (const chunk of chunks) {
+    reader.push(chunk);
+    await nextSlice();
+  }
+  return reader.finish(points);
+}
+
+// Any format ffmpeg knows, decoded to a float WAV at FFMPEG_SAMPLE_RATE (surround folded to
+// stereo). The source is piped in as it's read and the output analyzed as it streams out.
+function analyzeWithFfmpeg(ffmpegPath, chunks, points) {
+  return new Promise((resolve, reject) => {
+    const reader = createWavReader();
+    let stderr = '';
+    let settled = false;
+
+    const child = spawn(ffmpegPath, [
+      '-v', 'error', '-i', 'pipe:0',
+      '-vn', '-ar', String(FFMPEG_SAMPLE_RATE), '-af', 'aformat=channel_layouts=mono|stereo',
+      '-f', 'wav', '-acodec', 'pcm_f32le', 'pipe:1'
+    ]);
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        child.kill('SIGKILL');
+        child.stdin.destroy();
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+    const timer = setTimeout(() => finish(new Error('Decoding took too long')), FFMPEG_TIMEOUT_MS);
+
+    child.on('error', (error) => {
+      finish(error.code === 'ENOENT' ? new Error('ffmpeg is not installed, only WAV audio can be analyzed') : error);
+    });
+    // Chunks are analyzed as they come; ffmpeg waits on the pipe while one is being crunched
+    child.stdout.on('data', (chunk) => {
+      if (settled) return;
+      try {
+        reader.push(chunk);
+      } catch (error) {
+        finish(error);
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-500);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) return finish(new Error(`Could not decode audio: ${stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`}`));
+      try {
+        finish(null, reader.finish(points));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    // ffmpeg may stop reading early (unknown format), which surfaces as its exit code; errors
+    // reading the source (too large, connection lost) fail the job
+    pipeline(Readable.from(chunks), child.stdin, (error) => {
+      if (error && error.code !== 'EPIPE' && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') finish(error);
+    });
+  });
+}
+
+// ========================================
+// ANALYSIS
+// ========================================
+
+// Biquad coefficients of the two K-weighting stages at any sample rate (as in libebur128)
+function kWeightingFilters(sampleRate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let Q = 0.7071752369554196;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highPass];
+}
+
+// Direct form I state per filter
+function biquadState(coefficients) {
+  return { ...coefficients, x1: 0, x2: 0, y1: 0, y2: 0 };
+}
+
+function runBiquad(f, x) {
+  const y = f.b0 * x + f.b1 * f.x1 + f.b2 * f.x2 - f.a1 * f.y1 - f.a2 * f.y2;
+  f.x2 = f.x1;
+  f.x1 = x;
+  f.y2 = f.y1;
+  f.y1 = y;
+  return y;
+}
+
+// Integrated loudness from the K-weighted energy of each 100 ms step: 400 ms blocks with
+// 75% overlap, an absolute gate at -70 LUFS and a relative gate 10 LU below the ungated mean
+function integratedLoudness(stepEnergy, stepFrames) {
+  const blockEnergy = [];
+  if (stepEnergy.length < 4) {
+    const total = stepEnergy.reduce((sum, energy) => sum + energy, 0);
+    blockEnergy.push(total / (stepEnergy.length * stepFrames));
+  } else {
+    for (let i = 0; i + 4 <= stepEnergy.length; i++) {
+      blockEnergy.push((stepEnergy[i] + stepEnergy[i + 1] + stepEnergy[i + 2] + stepEnergy[i + 3]) / (4 * stepFrames));
+    }
+  }
+
+  const loudness = (energy) => -0.691 + 10 * Math.log10(energy);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const audible = blockEnergy.filter(energy => energy > 0 && loudness(energy) > -70);
+  if (audible.length === 0) return null;
+  const relativeGate = loudness(mean(audible)) - 10;
+  const gated = audible.filter(energy => loudness(energy) > relativeGate);
+  return loudness(mean(gated));
+}
+
+// BPM from the autocorrelation of the onset envelope, leaning towards 120 to pick the right octave
+function estimateBpm(envelope, framesPerSecond) {
+  if (envelope.length < MIN_BPM_SECONDS * framesPerSecond) return null;
+
+  const rises = new Float64Array(envelope.length);
+  for (let t = 1; t < envelope.length; t++) {
+    rises[t] = Math.max(0, envelope[t] - envelope[t - 1]);
+  }
+  // Spread each onset over a few frames so beats that fall between whole lags still line up
+  const onsets = new Float64Array(rises.length);
+  for (let t = 2; t < rises.length - 2; t++) {
+    onsets[t] = (rises[t - 2] + 2 * rises[t - 1] + 3 * rises[t] + 2 * rises[t + 1] + rises[t + 2]) / 9;
+  }
+  const average = onsets.reduce((sum, value) => sum + value, 0) / onsets.length;
+  if (average < MIN_ONSET_STRENGTH) return null;
+  for (let t = 0; t < onsets.length; t++) onsets[t] -= average;
+
+  const correlate = (lag) => {
+    let sum = 0;
+    for (let t = lag; t < onsets.length; t++) sum += onsets[t] * onsets[t - lag];
+    return sum;
+  };
+  const energy = correlate(0);
+  if (energy <= 0) return null;
+
+  const minLag = Math.floor(framesPerSecond * 60 / MAX_BPM);
+  const maxLag = Math.ceil(framesPerSecond * 60 / MIN_BPM);
+  const scores = new Map();
+  let bestLag = null;
+  let bestScore = -Infinity;
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    const score = correlate(lag);
+    scores.set(lag, score);
+    if (lag < minLag || lag > maxLag) continue;
+    const octaves = Math.log2(framesPerSecond * 60 / lag / 120);
+    const weighted = score * Math.exp(-0.5 * octaves * octaves);
+    if (weighted > bestScore) {
+      bestScore = weighted;
+      bestLag = lag;
+    }
+  }
+  if (scores.get(bestLag) / energy < MIN_BPM_CONFIDENCE) return null;
+
+  // Refine between whole lags with a parabola through the peak and its neighbours
+  const before = scores.get(bestLag - 1);
+  const peak = scores.get(bestLag);
+  const after = scores.get(bestLag + 1);
+  const curve = before - 2 * peak + after;
+  const shift = curve < 0 ? 0.5 * (before - after) / curve : 0;
+  return round(framesPerSecond * 60 / (bestLag + shift), 1);
+}
+
+// Loudness, peak, band waveform and onset envelope, accumulated slice by slice as the audio
+// is decoded. Per-sample work keeps only running sums; what's stored grows per 100 ms step and
+// per onset hop, never per sample.
+function createAnalyzer(sampleRate, channelCount) {
+  const filters = Array.from({ length: channelCount }, () => kWeightingFilters(sampleRate).map(biquadState));
+  const stepFrames = Math.round(sampleRate / 10);
+  const stepEnergy = [];
+  let stepSum = 0;
+  let stepFill = 0;
+
+  // Two cascaded one-pole low-passes per band edge
+  const lowAlpha = 1 - Math.exp(-2 * Math.PI * LOW_BAND_HZ / sampleRate);
+  const highAlpha = 1 - Math.exp(-2 * Math.PI * HIGH_BAND_HZ / sampleRate);
+  let low1 = 0;
+  let low2 = 0;
+  let mid1 = 0;
+  let mid2 = 0;
+  const toByte = (value) => Math.min(255, Math.round(Math.abs(value) * 255));
+
+  // The onset envelope and the band peaks are both kept per hop; the waveform's columns are
+  // made from the band peaks at the end, once the length is known
+  const hopFrames = Math.max(1, Math.round(sampleRate / ONSET_FRAMES_PER_SECOND));
+  const envelope = [];
+  const hops = { low: [], mid: [], high: [] };
+  let hopEnergy = 0;
+  let hopFill = 0;
+  let hopLow = 0;
+  let hopMid = 0;
+  let hopHigh = 0;
+
+  let peak = 0;
+  let frameCount = 0;
+
+  function endHop() {
+    hops.low.push(hopLow);
+    hops.mid.push(hopMid);
+    hops.high.push(hopHigh);
+    hopLow = 0;
+    hopMid = 0;
+    hopHigh = 0;
+  }
+
+  // channels: one Float32Array per channel, the first `count` samples of each are used
+  function push(channels, count) {
+    for (let i = 0; i < count; i++) {
+      let mono = 0;
+      let weighted = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const sample = channels[c][i];
+        const abs = Math.abs(sample);
+        if (abs > peak) peak = abs;
+        mono += sample;
+        const k = runBiquad(filters[c][1], runBiquad(filters[c][0], sample));
+        weighted += k * k;
+      }
+      mono /= channelCount;
+
+      stepSum += weighted;
+      if (++stepFill === stepFrames) {
+        stepEnergy.push(stepSum);
+        stepSum = 0;
+        stepFill = 0;
+      }
+
+      low1 += lowAlpha * (mono - low1);
+      low2 += lowAlpha * (low1 - low2);
+      mid1 += highAlpha * (mono - mid1);
+      mid2 += highAlpha * (mid1 - mid2);
+      const lowByte = toByte(low2);
+      const midByte = toByte(mid2 - low2);
+      const highByte = toByte(mono - mid2);
+      if (lowByte > hopLow) hopLow = lowByte;
+      if (midByte > hopMid) hopMid = midByte;
+      if (highByte > hopHigh) hopHigh = highByte;
+
+      hopEnergy += mono * mono;
+      if (++hopFill === hopFrames) {
+        envelope.push(Math.log1p(1000 * Math.sqrt(hopEnergy / hopFrames)));
+        endHop();
+        hopEnergy = 0;
+        hopFill = 0;
+      }
+    }
+    frameCount += count;
+  }
+
+  // Each column is the loudest hop overlapping it
+  function waveform(points) {
+    const columns = Math.min(points, frameCount);
+    const bands = { low: new Uint8Array(columns), mid: new Uint8Array(columns), high: new Uint8Array(columns) };
+    for (let hop = 0; hop < hops.low.length; hop++) {
+      const first = Math.floor(hop * hopFrames * columns / frameCount);
+      const last = Math.min(columns - 1, Math.floor((Math.min((hop + 1) * hopFrames, frameCount) - 1) * columns / frameCount));
+      for (let column = first; column <= last; column++) {
+        if (hops.low[hop] > bands.low[column]) bands.low[column] = hops.low[hop];
+        if (hops.mid[hop] > bands.mid[column]) bands.mid[column] = hops.mid[hop];
+        if (hops.high[hop] > bands.high[column]) bands.high[column] = hops.high[hop];
+      }
+    }
+    return {
+      points: columns,
+      seconds_per_point: round(frameCount / sampleRate / columns, 4),
+      low: Array.from(bands.low),
+      mid: Array.from(bands.mid),
+      high: Array.from(bands.high)
+    };
+  }
+
+  function finish(points = WAVEFORM_POINTS) {
+    // The last step is usually short; scale it up so the gated mean isn't dragged down
+    if (stepFill > 0) stepEnergy.push(stepSum * stepFrames / stepFill);
+    if (hopFill > 0) endHop();
+
+    const lufs = integratedLoudness(stepEnergy, stepFrames);
+    return {
+      duration: round(frameCount / sampleRate, 3),
+      sample_rate: sampleRate,
+      channels: channelCount,
+      lufs: lufs === null ? null : round(lufs, 1),
+      peak_db: peak > 0 ? round(20 * Math.log10(peak), 1) : null,
+      bpm: estimateBpm(envelope, sampleRate / hopFrames),
+      waveform: waveform(points)
+    };
+  }
+
+  return { push, finish, frames: () => frameCount };
+}
+
+// ========================================
+// JOBS
+// ========================================
+
+function createAudioAnalysis(store, options = {}) {
+  const uploadDir = options.uploadDir || null;
+  const buildDir = options.buildDir || null;
+  const maxBytes = options.maxBytes || 100 * 1024 * 1024;
+  const ffmpegPath = options.ffmpegPath || 'ffmpeg';
+  const points = options.waveformPoints || WAVEFORM_POINTS;
+
+  // key -> { url, open }, in the order they were asked for
+  const queue = new Map();
+  let running = false;
+
+  // Local paths must stay inside their directory
+  async function openLocal(directory, relative) {
+    const base = path.resolve(directory);
+    const target = path.resolve(base, ...relative.split('/').filter(Boolean).map(decodeURIComponent));
+    const relativeTarget = path.relative(base, target);
+    if (!relativeTarget || relativeTarget.startsWith('..') || path.isAbsolute(relativeTarget)) {
+      throw new Error('Audio path is outside its directory');
+    }
+
+    const { size } = await fs.promises.stat(target);
+    if (size > maxBytes) throw new Error(tooLarge(maxBytes));
+    return fs.createReadStream(target);
+  }
+
+  // A readable stream of the source: stored uploads (/uploads/...), the bundled media under
+  // /build/ (the offline store's seeds, which the stream route serves too) or anything over
+  // HTTP(S). Other local paths are refused so a track's URL can't point the analyzer at the
+  // rest of the server's files.
+  async function openSource(url) {
+    if (uploadDir && url.startsWith('/uploads/')) return openLocal(uploadDir, url.slice('/uploads/'.length));
+    if (buildDir && url.startsWith('/build/')) return openLocal(buildDir, url.slice('/build/'.length));
+    if (!/^https?:\/\//i.test(url)) throw new Error('Unsupported audio source');
+
+    const response = await fetch(url, { timeout: SOURCE_TIMEOUT_MS });
+    if (!response.ok) throw new Error(`Audio source returned ${response.status}`);
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      response.body.destroy();
+      throw new Error(tooLarge(maxBytes));
+    }
+    return response.body;
+  }
+
+  // A project file, read from the store's file storage (it has no public URL)
+  async function openStored(file) {
+    if (file.size > maxBytes) throw new Error(tooLarge(maxBytes));
+    return store.files.open(file.path);
+  }
+
+  async function run(key, { url, open }) {
+    const startedAt = Date.now();
+    const source = hashSource(url);
+    let stream = null;
+    let timer = null;
+    try {
+      stream = await open();
+      timer = setTimeout(() => stream.destroy(new Error('Reading the audio took too long')), SOURCE_TIMEOUT_MS);
+      const { head, chunks } = await peek(limitBytes(stream, maxBytes), 12);
+      const result = isWav(head) ? await analyzeWav(chunks, points) : await analyzeWithFfmpeg(ffmpegPath, chunks, points);
+      await store.analysis.set(key, { status: 'ready', source, ...result, analyzed_at: Date.now() });
+      console.log(`🎚️ Analyzed ${key}: ${result.lufs ?? '-∞'} LUFS, peak ${result.peak_db ?? '-∞'} dB, ${result.bpm ?? '?'} BPM (${Date.now() - startedAt} ms)`);
+    } catch (error) {
+      console.error(`❌ Audio analysis failed for ${key}:`, error.message);
+      await store.analysis.set(key, { status: 'failed', source, error: error.message, failed_at: Date.now() });
+    } finally {
+      // Also closes a source that wasn't read to the end
+      clearTimeout(timer);
+      if (stream) stream.destroy();
+    }
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (queue.size > 0) {
+      const [key, job] = queue.entries().next().value;
+      await run(key, job).catch(error => {
+        console.error(`❌ Could not save audio analysis for ${key}:`, error.message);
+      });
+      queue.delete(key);
+    }
+    running = false;
+  }
+
+  // The stored analysis of one source, queueing it first if it's missing, out of date or a
+  // failure that's due a retry. url identifies the source's content, open() reads it.
+  // Resolves to the record without its source hash.
+  async function request(key, url, open) {
+    const source = hashSource(url);
+    const record = await store.analysis.get(key);
+    const current = record && record.source === source;
+
+    if (current && record.status === 'ready') return view(record);
+    if (current && record.status === 'failed' && Date.now() - record.failed_at < RETRY_FAILED_MS) return view(record);
+    if (!queue.has(key)) {
+      queue.set(key, { url, open });
+      await store.analysis.set(key, { status: 'pending', source, requested_at: Date.now() });
+      drain();
+    }
+    return { status: 'pending' };
+  }
+
+  function view(record) {
+    const { source, ...data } = record;
+    return data;
+  }
+
+  return {
+    forTrack: (trackId, url) => request(`tracks/${trackId}`, url, () => openSource(url)),
+    // file: the version's stored preview_track ({ url, path, size, ... })
+    forVersion: (projectId, versionId, file) => request(`projects/${projectId}/${versionId}`, file.url, () => openStored(file)),
+    pending: () => queue.size
+  };
+}
+
+module.exports = { createAudioAnalysis };
@@ -0,0 +1,128 @@
+// Authentication middleware shared by every v1 route
+// Tokens are read from the Authorization header ("Bearer <idToken>") and verified through
+// the data store, so Firebase and local tokens are handled the same way. Without a header,
+// options.sessions (see sessions.js) supplies the token of the request's cookie session;
+// cookie-authenticated requests other than GET/HEAD/OPTIONS also need the CSRF token.
+//
+// Each route declares its mode:
+//   auth('public')    - token is ignored, req.user is never set
+//   auth('optional')  - req.user is set when a token is sent; an invalid token is still rejected
+//   auth('required')  - requests without a valid token are rejected with 401
+//   auth('moderator') - as 'required', and users who are neither moderators nor admins get 403
+//   auth('admin')     - as 'required', and non-admins are rejected with 403
+//
+// Admins are users whose token carries the `admin: true` custom claim or whose uid is
+// listed in options.adminUids. Moderators have the `moderator: true` claim or the
+// 'moderator' role in the store (moderation/roles/<uid>); admins are moderators too.
+//
+// req.user = { uid, email, emailVerified, isAdmin, isModerator, token }
+// (isModerator only reflects the stored role on 'moderator' routes)
+// req.authSession = the cookie session the token came from, or null
+
+function bearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) return null;
+  return header.slice('Bearer '.length).trim() || null;
+}
+
+function createAuth(store, options = {}) {
+  const adminUids = new Set(options.adminUids || []);
+  const sessions = options.sessions || null;
+
+  return function auth(mode = 'required') {
+    if (mode === 'public') {
+      return (req, res, next) => next();
+    }
+
+    if (!['optional', 'required', 'moderator', 'admin'].includes(mode)) {
+      throw new Error(`Unknown auth mode "${mode}"`);
+    }
+
+    return async (req, res, next) => {
+      let token = bearerToken(req);
+      req.authSession = null;
+
+      if (!token && sessions) {
+        try {
+          req.authSession = await sessions.resolve(req.headers.cookie);
+        } catch (error) {
+          console.error('❌ Error resolving session cookie:', error);
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to check session'
+          });
+        }
+
+        if (req.authSession) {
+          if (!sessions.checkCsrf(req, req.authSession)) {
+            console.log(`🚫 Missing or wrong CSRF token on ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({
+              success: false,
+              error: 'Invalid or missing CSRF token'
+            });
+          }
+          token = req.authSession.idToken;
+        }
+      }
+
+      if (!token) {
+        if (mode === 'optional') return next();
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      try {
+        const decodedToken = await store.auth.verifyIdToken(token);
+        const isAdmin = decodedToken.admin === true || adminUids.has(decodedToken.uid);
+        req.user = {
+          uid: decodedToken.uid,
+          email: decodedToken.email || null,
+          emailVerified: decodedToken.email_verified === true,
+          isAdmin,
+          isModerator: isAdmin || decodedToken.moderator === true,
+          token
+        };
+      } catch (error) {
+        console.log(`🚫 Rejected token on ${req.method} ${req.originalUrl}: ${error.code || error.message}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired token'
+        });
+      }
+
+      if (mode === 'moderator' && !req.user.isModerator) {
+        try {
+          req.user.isModerator = await store.moderation.getRole(req.user.uid) === 'moderator';
+        } catch (error) {
+          console.error('❌ Error checking moderator role:', error);
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to check permissions'
+          });
+        }
+
+        if (!req.user.isModerator) {
+          console.log(`🚫 Non-moderator ${req.user.uid} refused on ${req.method} ${req.originalUrl}`);
+          return res.status(403).json({
+            success: false,
+            error: 'Moderator access required'
+          });
+        }
+      }
+
+      if (mode === 'admin' && !req.user.isAdmin) {
+        console.log(`🚫 Non-admin ${req.user.uid} refused on ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Admin access required'
+        });
+      }
+
+      next();
+    };
+  };
+}
+
+module.exports = { createAuth };
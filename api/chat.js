@@ -0,0 +1,170 @@
+const WebSocket = require('ws');
+
+// Global chat channel on the multiplayer WebSocket server
+// Clients send { type: 'global_chat_subscribe', token? } (again after logging in or out;
+// server.js swaps { session: true, csrfToken } for the cookie session's token)
+// and { type: 'global_chat_unsubscribe' }, and receive:
+//   { type: 'global_chat_subscribed', uid, users }   - on every subscribe, with who is online
+//   { type: 'global_chat_message', message }
+//   { type: 'global_chat_updated', message }          - after an edit
+//   { type: 'global_chat_reactions', id, reactions }
+//   { type: 'global_chat_deleted', id }
+//   { type: 'global_chat_mention', notification }     - only to the mentioned user
+//   { type: 'global_chat_presence', event: 'join' | 'update' | 'leave', user }
+//   { type: 'global_chat_error', error }
+// Signed-in subscribers also receive their direct messages (see dms.js):
+//   { type: 'dm_message', with, message }          - with is the other participant's uid
+// Sending and history stay on REST. A signed-in subscriber is online until their last
+// subscribed socket closes.
+//
+// Rich presence: signed-in subscribers report { type: 'global_chat_activity', status, trackId,
+// session } whenever it changes. The server resolves it (see resolveChatActivity in server.js)
+// so each online user carries { status: 'online' | 'idle' | 'away', track, session }, where
+// track is a shared track card and session is { code, role: 'host' | 'spectator' }.
+
+function createChatHub(store) {
+  const subscribers = new Set();
+  // uid -> { user, sockets }
+  const online = new Map();
+
+  function send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  function broadcast(payload) {
+    const data = JSON.stringify(payload);
+    subscribers.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(data);
+    });
+  }
+
+  // Every subscribed socket of one signed-in user
+  function sendToUser(uid, payload) {
+    const entry = online.get(uid);
+    if (!entry) return;
+    entry.sockets.forEach(ws => send(ws, payload));
+  }
+
+  function onlineUsers() {
+    return Array.from(online.values()).map(entry => entry.user);
+  }
+
+  async function join(uid, ws) {
+    const existing = online.get(uid);
+    if (existing) {
+      existing.sockets.add(ws);
+      return;
+    }
+
+    const entry = {
+      user: { uid, username: 'Anonymous', photoURL: null, status: 'online', track: null, session: null },
+      sockets: new Set([ws])
+    };
+    online.set(uid, entry);
+
+    const userData = await store.users.get(uid);
+    entry.user.username = userData?.username || userData?.displayName || 'Anonymous';
+    entry.user.photoURL = userData?.photoURL || null;
+
+    // Left again while the profile was loading
+    if (online.get(uid) !== entry) return;
+
+    await store.presence.set(uid, { ...entry.user, lastSeen: Date.now() });
+    console.log(`🟢 ${entry.user.username} joined global chat`);
+    broadcast({ type: 'global_chat_presence', event: 'join', user: entry.user });
+  }
+
+  function leave(uid, ws) {
+    const entry = online.get(uid);
+    if (!entry || !entry.sockets.delete(ws) || entry.sockets.size > 0) return;
+
+    online.delete(uid);
+    const user = { ...entry.user, status: 'offline', track: null, session: null };
+    store.presence.set(uid, { ...user, lastSeen: Date.now() }).catch(error => {
+      console.error('❌ Error setting presence offline:', error.message);
+    });
+    console.log(`⚪ ${user.username} left global chat`);
+    broadcast({ type: 'global_chat_presence', event: 'leave', user });
+  }
+
+  function sameActivity(user, activity) {
+    return user.status === activity.status
+      && user.track?.id === activity.track?.id
+      && user.session?.code === activity.session?.code
+      && user.session?.role === activity.session?.role;
+  }
+
+  function updatePresence(entry) {
+    store.presence.set(entry.user.uid, { ...entry.user, lastSeen: Date.now() }).catch(error => {
+      console.error('❌ Error updating presence:', error.message);
+    });
+    broadcast({ type: 'global_chat_presence', event: 'update', user: entry.user });
+  }
+
+  // Latest report from any of the user's sockets wins
+  function setActivity(ws, activity) {
+    const entry = ws.chatUid && subscribers.has(ws) ? online.get(ws.chatUid) : null;
+    if (!entry || sameActivity(entry.user, activity)) return;
+
+    entry.user = { ...entry.user, ...activity };
+    updatePresence(entry);
+  }
+
+  // A multiplayer session closed: nobody is hosting or spectating it any more
+  function endSession(code) {
+    online.forEach(entry => {
+      if (entry.user.session?.code !== code) return;
+      entry.user = { ...entry.user, session: null };
+      updatePresence(entry);
+    });
+  }
+
+  async function subscribe(ws, token) {
+    let uid = null;
+    if (token) {
+      try {
+        uid = (await store.auth.verifyIdToken(token)).uid;
+      } catch (error) {
+        send(ws, { type: 'global_chat_error', error: 'Invalid or expired token' });
+        return;
+      }
+    }
+
+    // Closed while the token was being verified
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (subscribers.has(ws) && ws.chatUid !== uid) {
+      unsubscribe(ws);
+    }
+
+    subscribers.add(ws);
+    ws.chatUid = uid;
+    if (uid) await join(uid, ws);
+
+    send(ws, { type: 'global_chat_subscribed', uid, users: onlineUsers() });
+  }
+
+  function unsubscribe(ws) {
+    if (!subscribers.delete(ws)) return;
+    if (ws.chatUid) leave(ws.chatUid, ws);
+    ws.chatUid = null;
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    onlineUsers,
+    sendToUser,
+    setActivity,
+    endSession,
+    publishMessage: (message) => broadcast({ type: 'global_chat_message', message }),
+    publishUpdate: (message) => broadcast({ type: 'global_chat_updated', message }),
+    publishReactions: (id, reactions) => broadcast({ type: 'global_chat_reactions', id, reactions }),
+    publishDeletion: (id) => broadcast({ type: 'global_chat_deleted', id }),
+    publishMention: (uid, notification) => sendToUser(uid, { type: 'global_chat_mention', notification })
+  };
+}
+
+module.exports = { createChatHub };
@@ -0,0 +1,98 @@
+// Direct messages
+// One-to-one conversations keyed by the sorted pair of uids, so either side can address
+// a conversation by the other user's uid.
+//
+// Messages: dm/messages/<conversationId>/<id> = { uid, text, createdAt }
+// Inbox:    dm/inbox/<uid>/<conversationId> = { with, lastMessage, updatedAt, unread, lastReadAt }
+//           one entry per participant, backing the conversation list and unread counts
+// Blocks:   dm/blocks/<uid>/<blockedUid> = time blocked
+// A block in either direction stops new messages; existing history stays readable.
+
+function conversationIdFor(uidA, uidB) {
+  return [uidA, uidB].sort().join(':');
+}
+
+function createDirectMessages(store) {
+  function failure(status, error) {
+    return { ok: false, status, error };
+  }
+
+  async function isBlockedBetween(uidA, uidB) {
+    const [aBlocksB, bBlocksA] = await Promise.all([
+      store.dms.getBlock(uidA, uidB),
+      store.dms.getBlock(uidB, uidA)
+    ]);
+    return Boolean(aBlocksB || bBlocksA);
+  }
+
+  // Resolves to { ok: true, conversationId, message } or a failure
+  async function send(fromUid, toUid, text) {
+    if (fromUid === toUid) {
+      return failure(400, 'You cannot message yourself');
+    }
+    if (!await store.users.get(toUid)) {
+      return failure(404, 'User not found');
+    }
+    if (await isBlockedBetween(fromUid, toUid)) {
+      return failure(403, 'You cannot message this user');
+    }
+
+    const conversationId = conversationIdFor(fromUid, toUid);
+    const message = { uid: fromUid, text, createdAt: Date.now() };
+    const id = await store.dms.addMessage(conversationId, fromUid, toUid, message);
+    return { ok: true, conversationId, message: { id, ...message } };
+  }
+
+  // The user's conversations, most recently active first
+  async function conversations(uid) {
+    const [inbox, blocks] = await Promise.all([
+      store.dms.listInbox(uid),
+      store.dms.listBlocks(uid)
+    ]);
+
+    return Object.entries(inbox || {})
+      .map(([conversationId, entry]) => ({
+        conversationId,
+        with: entry.with,
+        lastMessage: entry.lastMessage || null,
+        updatedAt: entry.updatedAt || 0,
+        unread: entry.unread || 0,
+        blocked: Boolean(blocks && blocks[entry.with])
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // Newest first, optionally only messages sent before a timestamp
+  function history(uid, otherUid, { limit, before }) {
+    return store.dms.listMessages(conversationIdFor(uid, otherUid), { limit, before });
+  }
+
+  // Resolves to whether the conversation exists
+  async function markRead(uid, otherUid) {
+    const conversationId = conversationIdFor(uid, otherUid);
+    if (!await store.dms.getInboxEntry(uid, conversationId)) return false;
+    await store.dms.markRead(uid, conversationId);
+    return true;
+  }
+
+  async function blocks(uid) {
+    return Object.entries(await store.dms.listBlocks(uid) || {})
+      .map(([blockedUid, blockedAt]) => ({ uid: blockedUid, blockedAt }))
+      .sort((a, b) => b.blockedAt - a.blockedAt);
+  }
+
+  function setBlocked(uid, otherUid, blocked) {
+    return store.dms.setBlock(uid, otherUid, blocked);
+  }
+
+  return {
+    send,
+    conversations,
+    history,
+    markRead,
+    blocks,
+    setBlocked
+  };
+}
+
+module.exports = { createDirectMessages, conversationIdFor };
@@ -0,0 +1,97 @@
+const { seededRandom } = require('./random');
+
+// Floaty: fly through the gaps between pipes, one point per pipe passed. The only input is a flap.
+// Mirrors the game registered in index.html (registerPhoneGame floaty): a pipe spawned every
+// 150 updates at the right edge moving 1px per update, scored once it has fully passed the
+// bird. The first pipe scores on update 150 + 320, each next one 150 later.
+const RULES = {
+  width: 320,
+  height: 480,
+  birdX: 50,
+  birdY: 240,
+  birdRadius: 12,
+  gravity: 0.15,
+  jumpStrength: -4.5,
+  pipeGap: 170,
+  pipeWidth: 50,
+  pipeSpeed: 1.0,
+  pipeInterval: 150,
+  firstScoreFrame: 150 + 320
+};
+
+// Highest score reachable after this many frames
+function maxScoreAt(frames) {
+  if (frames < RULES.firstScoreFrame) return 0;
+  return Math.floor((frames - RULES.firstScoreFrame) / RULES.pipeInterval) + 1;
+}
+
+// Plays a round from its seed and flaps, update for update as the game's update does (a flap
+// lands just before the update it's recorded on). Stops when the bird dies or after maxFrames.
+function simulate(seed, flaps, maxFrames) {
+  const random = seededRandom(seed);
+  const bird = { y: RULES.birdY, velocity: 0 };
+  const pipes = [];
+  let frames = 0;
+  let pipesSpawned = 0;
+  let score = 0;
+  let nextFlap = 0;
+  let dead = false;
+
+  while (!dead && frames < maxFrames) {
+    if (flaps[nextFlap] === frames) {
+      bird.velocity = RULES.jumpStrength;
+      nextFlap++;
+    }
+    bird.velocity += RULES.gravity;
+    bird.y += bird.velocity;
+
+    frames++;
+    if (frames % RULES.pipeInterval === 0) {
+      pipesSpawned++;
+      pipes.push({ x: RULES.width, gapY: random() * (RULES.height - RULES.pipeGap - 120) + 60, scored: false });
+    }
+
+    for (let i = pipes.length - 1; i >= 0; i--) {
+      const pipe = pipes[i];
+      pipe.x -= RULES.pipeSpeed;
+      if (pipe.x + RULES.pipeWidth < 0) {
+        pipes.splice(i, 1);
+        continue;
+      }
+      if (!pipe.scored && pipe.x + RULES.pipeWidth < RULES.birdX) {
+        pipe.scored = true;
+        score++;
+      }
+      // Like the game, a hit doesn't stop the rest of this update
+      if (RULES.birdX + RULES.birdRadius > pipe.x && RULES.birdX - RULES.birdRadius < pipe.x + RULES.pipeWidth &&
+          (bird.y - RULES.birdRadius < pipe.gapY || bird.y + RULES.birdRadius > pipe.gapY + RULES.pipeGap)) {
+        dead = true;
+      }
+    }
+    if (bird.y - RULES.birdRadius < 0 || bird.y + RULES.birdRadius > RULES.height) {
+      dead = true;
+    }
+  }
+
+  return { dead, score, pipes: pipesSpawned, frames, flaps: nextFlap };
+}
+
+module.exports = {
+  id: 'floaty',
+  name: 'Floaty',
+  bonusOms: 25,
+  bonusType: 'floaty_bonus',
+
+  // stats: { pipes } - pipes spawned during the round
+  verify({ seed, inputs, frames, score, stats }) {
+    const pipes = stats?.pipes;
+    if (pipes !== Math.floor(frames / RULES.pipeInterval)) return 'pipes_do_not_match_frames';
+    if (score > maxScoreAt(frames)) return 'score_exceeds_pipes_passed';
+
+    const result = simulate(seed, inputs, frames);
+    if (!result.dead || result.frames !== frames) return 'replay_round_length_differs';
+    if (result.flaps !== inputs.length) return 'replay_has_unused_inputs';
+    if (result.score !== score || result.pipes !== pipes) return 'replay_score_differs';
+    return null;
+  }
+};
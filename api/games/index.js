@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const { createSigner } = require('../tokens');
+const floaty = require('./floaty');
+
+// Phone games: sessions, leaderboards, seasons and replays, shared by every game by id
+// A game definition ({ id, name, bonusOms, bonusType, verify }) only brings its rules; see
+// floaty.js. Games run in the phone's game host (PhoneGames in index.html) at a fixed 60
+// updates per second, from a seed issued with the session, and the host records the updates
+// the player gave input on.
+//
+// The client starts a game session before a round, then submits the round's score, frames
+// (updates played), inputs and game-specific stats with the session's signed token. Sessions
+// are single-use and a player has one live session per game; starting another replaces it.
+//
+// Submissions are checked before they reach any board:
+// - frames can't exceed the time since the session started, at 60 frames per second
+// - inputs must be increasing frame numbers within the round
+// - the game's verify() must accept the round, usually by replaying the seed and inputs
+//
+// Each board entry keeps the replay of its round, so any entry can be watched or re-verified.
+//
+// Boards keep each player's best score: daily (UTC day), weekly (ISO week), the current
+// season and all time. Seasons end after seasonDays (or when an admin ends one); the final
+// standings are archived and the next season's board starts empty.
+//
+// Sessions: 3d/<gameId>/sessions/<uid> = { id, startedAt, seed }
+// Boards:   3d/<gameId>/highscores/<uid> (all time), 3d/<gameId>/seasons/<seasonId>/<uid>,
+//           3d/<gameId>/daily/<YYYY-MM-DD>/<uid>, 3d/<gameId>/weekly/<YYYY-Www>/<uid>
+//           = { uid, username, photoURL, score, timestamp, replay }
+// Replays:  3d/<gameId>/replays/<board>/<uid> = { uid, username, seed, inputs, frames, score, stats, createdAt }
+// Seasons:  3d/<gameId>/season = { id, number, startedAt, endsAt }
+//           3d/<gameId>/archive/<seasonId> = { id, number, startedAt, endedAt, standings }
+
+const GAMES = [floaty];
+
+const DEFAULTS = {
+  secret: null,
+  sessionTtlSeconds: 2 * 60 * 60,
+  bonusOms: 0,
+  seasonDays: 0,
+  maxLimit: 100,
+  archiveSize: 100,
+  verifyLimit: 50,
+  // Frames may run this much faster than the server clock, plus slackSeconds for latency
+  clockTolerance: 0.05,
+  slackSeconds: 2
+};
+
+const FRAMES_PER_SECOND = 60;
+
+const PERIODS = ['daily', 'weekly', 'season', 'all'];
+
+// UTC calendar day
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// ISO 8601 week (weeks start on Monday; week 1 holds the year's first Thursday)
+function weekKey(time) {
+  const date = new Date(time);
+  const weekday = (date.getUTCDay() + 6) % 7;
+  const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - weekday + 3);
+  const year = new Date(thursday).getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000));
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// Whether inputs are increasing frame numbers within a round of `frames` updates
+function validInputs(inputs, frames) {
+  return Array.isArray(inputs) && inputs.length <= frames &&
+    inputs.every((frame, index) => Number.isInteger(frame) && frame >= 0 && frame < frames &&
+      (index === 0 || frame > inputs[index - 1]));
+}
+
+// Board path <-> the replayId handed to clients ('daily:2026-01-31:<uid>', 'highscores:<uid>')
+const REPLAY_ID_PATTERN = /^(highscores|seasons:s\d+|daily:\d{4}-\d{2}-\d{2}|weekly:\d{4}-W\d{2}):([\w-]{1,128})$/;
+
+function replayIdFor(board, uid) {
+  return `${board.replace('/', ':')}:${uid}`;
+}
+
+function parseReplayId(replayId) {
+  const match = REPLAY_ID_PATTERN.exec(String(replayId));
+  return match ? { board: match[1].replace(':', '/'), uid: match[2] } : null;
+}
+
+// Standard competition ranking: equal scores share a rank
+function withRanks(board, entries) {
+  let previous = null;
+  return entries.map((entry, index) => {
+    const rank = previous && previous.score === entry.score ? previous.rank : index + 1;
+    const uid = entry.uid || entry.id;
+    previous = {
+      rank,
+      uid,
+      username: entry.username,
+      photoURL: entry.photoURL || '',
+      score: entry.score,
+      replayId: entry.replay ? replayIdFor(board, uid) : null
+    };
+    return previous;
+  });
+}
+
+// Sessions, boards and seasons of one game
+function createGameBoards(store, omsLedger, signer, game, config) {
+
+  function failure(status, error, extra = {}) {
+    return { ok: false, status, error, ...extra };
+  }
+
+  function boardFor(period, season, now) {
+    if (period === 'daily') return { board: `daily/${dayKey(now)}`, key: dayKey(now) };
+    if (period === 'weekly') return { board: `weekly/${weekKey(now)}`, key: weekKey(now) };
+    if (period === 'season') return { board: `seasons/${season.id}`, key: season.id };
+    return { board: 'highscores', key: 'all' };
+  }
+
+  async function standings(board, limit) {
+    const entries = await store.games.top(game.id, board, limit);
+    entries.sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+    return withRanks(board, entries);
+  }
+
+  async function rankOf(board, uid) {
+    const entry = await store.games.getEntry(game.id, board, uid);
+    if (!entry) return null;
+    return { rank: (await store.games.countAbove(game.id, board, entry.score)) + 1, score: entry.score };
+  }
+
+  async function archiveSeason(season, endedAt) {
+    const archive = {
+      id: season.id,
+      number: season.number,
+      startedAt: season.startedAt,
+      endedAt,
+      standings: await standings(`seasons/${season.id}`, config.archiveSize)
+    };
+    await store.games.setArchive(game.id, season.id, archive);
+    console.log(`🏁 ${game.name} season ${season.id} ended with ${archive.standings.length} ranked players`);
+    return archive;
+  }
+
+  // Ends `previous` (null before the first season) and starts the next one. Of several
+  // callers racing to replace the same season only one wins; the rest get its season.
+  async function startSeason(previous, now) {
+    const number = (previous?.number || 0) + 1;
+    const next = {
+      id: `s${number}`,
+      number,
+      startedAt: now,
+      endsAt: config.seasonDays > 0 ? now + config.seasonDays * 24 * 60 * 60 * 1000 : null
+    };
+
+    let started = false;
+    const { value } = await store.games.updateSeason(game.id, (current) => {
+      started = false;
+      // Firebase may call this first with an empty cache
+      if (!current && previous) return current;
+      if ((current?.id || null) !== (previous?.id || null)) return;
+      started = true;
+      return next;
+    });
+
+    let archived = null;
+    if (started) {
+      console.log(`🎮 ${game.name} season ${next.id} started`);
+      if (previous) archived = await archiveSeason(previous, now);
+    }
+    return { season: value, archived };
+  }
+
+  async function currentSeason(now = Date.now()) {
+    const season = await store.games.getSeason(game.id);
+    if (season && !(season.endsAt && season.endsAt <= now)) return season;
+    return (await startSeason(season, now)).season;
+  }
+
+  async function startGame(uid) {
+    const id = crypto.randomBytes(12).toString('hex');
+    // Issued here so a replay can't be submitted again under another session
+    const seed = crypto.randomInt(0, 2 ** 32);
+    await store.games.setSession(game.id, uid, { id, startedAt: Date.now(), seed });
+
+    return {
+      ok: true,
+      data: {
+        token: signer.sign({ s: id, u: uid, g: game.id }, config.sessionTtlSeconds),
+        seed,
+        expiresIn: config.sessionTtlSeconds
+      }
+    };
+  }
+
+  // Why a submission can't come from a real round, or null if it can
+  function implausibility(round, elapsedMs) {
+    const maxFrames = (elapsedMs / 1000) * FRAMES_PER_SECOND * (1 + config.clockTolerance) +
+      config.slackSeconds * FRAMES_PER_SECOND;
+    if (round.frames > maxFrames) return 'frames_exceed_elapsed_time';
+    if (!validInputs(round.inputs, round.frames)) return 'invalid_inputs';
+    return game.verify(round);
+  }
+
+  // Keeps the better of the stored and submitted score. Resolves to the entry before and after
+  function recordBest(board, uid, profile, score, now, extra = () => ({})) {
+    let before = null;
+    return store.games.updateEntry(game.id, board, uid, (entry) => {
+      before = entry;
+      const improved = !entry || score > entry.score;
+      return {
+        ...entry,
+        uid,
+        username: profile.username,
+        photoURL: profile.photoURL,
+        score: improved ? score : entry.score,
+        timestamp: improved ? now : entry.timestamp,
+        replay: improved || Boolean(entry.replay),
+        ...extra(entry, improved)
+      };
+    }).then(({ value }) => ({ board, before, after: value, improved: !before || score > before.score }));
+  }
+
+  async function submit(uid, { token, score, frames, inputs, stats }) {
+    const grant = signer.verify(token);
+    if (!grant || !grant.s || grant.g !== game.id) {
+      return failure(401, 'Invalid or expired game token');
+    }
+    if (grant.u !== uid) {
+      return failure(403, 'Game session belongs to another player');
+    }
+    if (![score, frames].every(value => Number.isInteger(value) && value >= 0)) {
+      return failure(400, 'score and frames must be non-negative integers');
+    }
+    if (!Array.isArray(inputs)) {
+      return failure(400, 'inputs must be the list of frames the player gave input on');
+    }
+
+    // Sessions are single-use: take it out before anything else
+    let session = null;
+    await store.games.updateSession(game.id, uid, (current) => {
+      session = null;
+      if (!current) return current;
+      if (current.id !== grant.s) return;
+      session = current;
+      return null;
+    });
+    if (!session) {
+      return failure(410, 'Game session has ended');
+    }
+
+    const now = Date.now();
+    const round = { seed: session.seed, inputs, frames, score, stats: stats || {} };
+    const reason = implausibility(round, now - session.startedAt);
+    if (reason) {
+      console.log(`🚫 Rejected ${game.name} score ${score} from ${uid}: ${reason} (frames ${frames}, elapsed ${now - session.startedAt}ms)`);
+      return failure(422, 'Score rejected', { code: 'IMPLAUSIBLE_SCORE', reason });
+    }
+
+    const userData = await store.users.get(uid);
+    const profile = {
+      username: userData?.username || userData?.displayName || 'Anonymous',
+      photoURL: userData?.photoURL || ''
+    };
+    const season = await currentSeason(now);
+    const day = dayKey(now);
+
+    // New all-time personal bests earn a bonus, at most once per UTC day
+    let earnsBonus = false;
+    const recorded = await Promise.all([
+      recordBest('highscores', uid, profile, score, now, (entry, improved) => {
+        earnsBonus = improved && score > 0 && entry?.bonusDay !== day;
+        return { bonusDay: earnsBonus ? day : entry?.bonusDay || null };
+      }),
+      ...['daily', 'weekly', 'season'].map(period =>
+        recordBest(boardFor(period, season, now).board, uid, profile, score, now)
+      )
+    ]);
+    const { before, after } = recorded[0];
+
+    const replay = { uid, username: profile.username, ...round, createdAt: now };
+    await Promise.all(recorded.filter(entry => entry.improved).map(entry =>
+      store.games.setReplay(game.id, entry.board, uid, replay)
+    ));
+
+    let oms = null;
+    if (earnsBonus && userData && config.bonusOms > 0) {
+      const bonus = await omsLedger.credit(uid, config.bonusOms, game.bonusType || `${game.id}_bonus`, { score });
+      oms = bonus.balance;
+      console.log(`🎮 Awarded ${config.bonusOms} OMs ${game.name} bonus to ${uid}`);
+    }
+
+    const ranks = {};
+    await Promise.all(PERIODS.map(async (period) => {
+      ranks[period] = await rankOf(boardFor(period, season, now).board, uid);
+    }));
+
+    return {
+      ok: true,
+      data: {
+        score: after.score,
+        isNewHighScore: !before || score > before.score,
+        omsAwarded: oms === null ? 0 : config.bonusOms,
+        oms,
+        season: season.id,
+        ranks
+      }
+    };
+  }
+
+  // Top `limit` of a period's board, plus the caller's own rank when uid is given
+  async function leaderboard(period, limit, uid) {
+    if (!PERIODS.includes(period)) {
+      return failure(400, `period must be one of ${PERIODS.join(', ')}`);
+    }
+
+    const now = Date.now();
+    const season = await currentSeason(now);
+    const { board, key } = boardFor(period, season, now);
+    const [entries, me] = await Promise.all([
+      standings(board, Math.min(Math.max(limit, 1), config.maxLimit)),
+      uid ? rankOf(board, uid) : null
+    ]);
+
+    return {
+      ok: true,
+      data: {
+        period,
+        key,
+        season: { id: season.id, number: season.number, startedAt: season.startedAt, endsAt: season.endsAt || null },
+        entries,
+        me
+      }
+    };
+  }
+
+  async function getReplay(replayId) {
+    const target = parseReplayId(replayId);
+    const replay = target ? await store.games.getReplay(game.id, target.board, target.uid) : null;
+    if (!replay) {
+      return failure(404, 'Replay not found');
+    }
+    return { ok: true, data: { replayId, ...replay, inputs: replay.inputs || [], stats: replay.stats || {} } };
+  }
+
+  // Re-simulates the replays behind the top `limit` entries of a period's board
+  async function verifyBoard(period, limit) {
+    if (!PERIODS.includes(period)) {
+      return failure(400, `period must be one of ${PERIODS.join(', ')}`);
+    }
+
+    const now = Date.now();
+    const { board, key } = boardFor(period, await currentSeason(now), now);
+    const entries = await standings(board, Math.min(Math.max(limit, 1), config.verifyLimit));
+    const result = { period, key, checked: entries.length, verified: [], failed: [], missing: [] };
+
+    for (const entry of entries) {
+      const replay = await store.games.getReplay(game.id, board, entry.uid);
+      if (!replay) {
+        result.missing.push({ uid: entry.uid, score: entry.score });
+        continue;
+      }
+      const round = { ...replay, inputs: replay.inputs || [], stats: replay.stats || {} };
+      const reason = replay.score !== entry.score
+        ? 'replay_is_not_for_this_score'
+        : validInputs(round.inputs, round.frames) ? game.verify(round) : 'invalid_inputs';
+      if (reason) {
+        console.log(`🚫 ${game.name} ${board} entry of ${entry.uid} (score ${entry.score}) failed re-verification: ${reason}`);
+        result.failed.push({ uid: entry.uid, score: entry.score, reason });
+      } else {
+        result.verified.push({ uid: entry.uid, score: entry.score });
+      }
+    }
+    return { ok: true, data: result };
+  }
+
+  async function seasons() {
+    const [current, archives] = await Promise.all([currentSeason(), store.games.listArchives(game.id)]);
+    const past = Object.values(archives || {})
+      .map(({ standings: ranked = [], ...season }) => ({ ...season, winner: ranked[0] || null }))
+      .sort((a, b) => b.number - a.number);
+    return { ok: true, data: { current, past } };
+  }
+
+  async function archivedSeason(seasonId) {
+    const archive = /^s\d+$/.test(seasonId) ? await store.games.getArchive(game.id, seasonId) : null;
+    if (!archive) {
+      return failure(404, 'Season not found or still running');
+    }
+    return { ok: true, data: { ...archive, standings: archive.standings || [] } };
+  }
+
+  // Ends the current season now and starts the next
+  async function endSeason() {
+    const now = Date.now();
+    const { season, archived } = await startSeason(await currentSeason(now), now);
+    if (!archived) {
+      return failure(409, 'The season was just ended by another request');
+    }
+    return { ok: true, data: { season, archived } };
+  }
+
+  return { startGame, submit, leaderboard, getReplay, verifyBoard, seasons, archivedSeason, endSeason };
+}
+
+// options.settings: per-game overrides ({ floaty: { bonusOms, seasonDays } })
+function createGames(store, omsLedger, options = {}) {
+  const { settings = {}, ...shared } = options;
+  const signer = createSigner(shared.secret);
+  const games = new Map();
+
+  GAMES.forEach((game) => {
+    const config = { ...DEFAULTS, bonusOms: game.bonusOms || 0, ...shared, ...settings[game.id] };
+    games.set(game.id, { id: game.id, name: game.name, ...createGameBoards(store, omsLedger, signer, game, config) });
+  });
+
+  return {
+    get: (gameId) => games.get(gameId) || null,
+    list: () => [...games.values()].map(({ id, name }) => ({ id, name }))
+  };
+}
+
+module.exports = { createGames };
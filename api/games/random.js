@@ -0,0 +1,14 @@
+// Mulberry32, the generator phone games are seeded with (phoneGameRandom in index.html).
+// Both sides must produce the same sequence for replays to match.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { seededRandom };
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { createSigner } = require('./tokens');
+
+// Listening sessions and OM rewards
+// The client starts a session when a track begins, sends heartbeats while audio is
+// playing and claims once the session has been credited with enough listening time.
+//
+// - Each heartbeat credits at most maxHeartbeatGapSeconds, so paused or closed players
+//   stop earning and replayed requests add nothing.
+// - A listener has one live session; starting another ends the previous one.
+// - A session can be claimed once. Claims go through the listener's ledger, which
+//   enforces a per-track cooldown and a daily OM cap in a single transaction.
+// - Artists earn from signed-in listens only, up to their own daily cap.
+// - OMs are credited through the OMs ledger (see oms.js).
+//
+// Ledger: listens/ledger/<listenerKey> = {
+//   activeSession, lastClaims: { trackId: time }, day, dayOms, artistDay, artistDayOms
+// }
+
+const DEFAULTS = {
+  secret: null,
+  thresholdSeconds: 30,
+  heartbeatSeconds: 10,
+  maxHeartbeatGapSeconds: 15,
+  sessionTtlSeconds: 4 * 60 * 60,
+  cooldownSeconds: 30 * 60,
+  listenerReward: 33,
+  artistReward: 10,
+  listenerDailyCap: 660,
+  artistDailyCap: 1000
+};
+
+// Signed-in listeners are keyed by uid, anonymous ones by a hash of their IP
+function listenerKeyFor(uid, ip) {
+  if (uid) return uid;
+  return `anon_${crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 16)}`;
+}
+
+// UTC calendar day, used to reset daily caps
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function createListenRewards(store, omsLedger, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const signer = createSigner(config.secret);
+  const thresholdMs = config.thresholdSeconds * 1000;
+  const maxGapMs = config.maxHeartbeatGapSeconds * 1000;
+  const cooldownMs = config.cooldownSeconds * 1000;
+
+  function failure(status, error, extra = {}) {
+    return { ok: false, status, error, ...extra };
+  }
+
+  // Session time after crediting the gap since the last heartbeat
+  function credited(session, now) {
+    const gap = Math.max(0, Math.min(now - session.lastHeartbeatAt, maxGapMs));
+    return session.listenedMs + gap;
+  }
+
+  function progress(session) {
+    return {
+      listenedSeconds: Math.floor(session.listenedMs / 1000),
+      threshold: config.thresholdSeconds,
+      claimable: !session.claimed && session.listenedMs >= thresholdMs,
+      claimed: session.claimed
+    };
+  }
+
+  // Returns the session id named by a valid token issued to this listener, or a failure
+  function checkGrant(token, listenerKey) {
+    const grant = signer.verify(token);
+    if (!grant || !grant.s) {
+      return { failure: failure(401, 'Invalid or expired listen token') };
+    }
+    if (grant.l !== listenerKey) {
+      return { failure: failure(403, 'Listen session belongs to another listener') };
+    }
+    return { sessionId: grant.s };
+  }
+
+  async function start(trackId, listenerKey, uid) {
+    const track = await store.tracks.get(trackId);
+    if (!track) {
+      return failure(404, 'Track not found');
+    }
+
+    const sessionId = crypto.randomBytes(12).toString('hex');
+    const now = Date.now();
+    await store.listens.createSession(sessionId, {
+      trackId,
+      listener: listenerKey,
+      uid: uid || null,
+      startedAt: now,
+      lastHeartbeatAt: now,
+      listenedMs: 0,
+      claimed: false
+    });
+
+    let previous = null;
+    await store.listens.updateLedger(listenerKey, (ledger) => {
+      previous = ledger?.activeSession || null;
+      return { ...ledger, activeSession: sessionId };
+    });
+    if (previous && previous !== sessionId) {
+      await store.listens.removeSession(previous);
+    }
+
+    return {
+      ok: true,
+      data: {
+        sessionId,
+        trackId,
+        token: signer.sign({ s: sessionId, t: trackId, l: listenerKey }, config.sessionTtlSeconds),
+        heartbeatInterval: config.heartbeatSeconds,
+        threshold: config.thresholdSeconds
+      }
+    };
+  }
+
+  async function heartbeat(token, listenerKey) {
+    const { sessionId, failure: rejected } = checkGrant(token, listenerKey);
+    if (rejected) return rejected;
+
+    const now = Date.now();
+    const { value: session } = await store.listens.updateSession(sessionId, (session) => {
+      if (!session) return session;
+      if (session.claimed) return;
+      return { ...session, listenedMs: credited(session, now), lastHeartbeatAt: now };
+    });
+
+    if (!session) {
+      return failure(410, 'Listen session has ended');
+    }
+    return { ok: true, data: { sessionId, ...progress(session) } };
+  }
+
+  async function claim(token, listenerKey) {
+    const { sessionId, failure: rejected } = checkGrant(token, listenerKey);
+    if (rejected) return rejected;
+
+    // Credit the final stretch and mark the session claimed in one step
+    const now = Date.now();
+    let rejection = null;
+    const { value: session } = await store.listens.updateSession(sessionId, (session) => {
+      rejection = null;
+      if (!session) return session;
+      if (session.claimed) {
+        rejection = failure(409, 'Listen already claimed');
+        return;
+      }
+
+      const listenedMs = credited(session, now);
+      if (listenedMs < thresholdMs) {
+        rejection = failure(409, 'Not enough listening time yet', {
+          retryAfter: Math.ceil((thresholdMs - listenedMs) / 1000)
+        });
+        return { ...session, listenedMs, lastHeartbeatAt: now };
+      }
+      return { ...session, listenedMs, lastHeartbeatAt: now, claimed: true, claimedAt: now };
+    });
+
+    if (!session) return failure(410, 'Listen session has ended');
+    if (rejection) return rejection;
+
+    const { trackId, uid } = session;
+    const track = await store.tracks.get(trackId);
+    if (!track) {
+      return failure(404, 'Track not found');
+    }
+
+    const result = {
+      trackId,
+      counted: false,
+      listens_count: track.listens_count || 0,
+      oms: null,
+      awarded: { listener: 0, artist: 0 },
+      reason: null
+    };
+
+    // Artists listening to their own tracks neither count nor earn
+    if (uid && uid === track.user_id) {
+      result.reason = 'own_track';
+      return { ok: true, data: result };
+    }
+
+    const listener = uid ? await store.users.get(uid) : null;
+    const day = dayKey(now);
+
+    // Cooldown and daily cap are checked and reserved atomically
+    let outcome = null;
+    await store.listens.updateLedger(listenerKey, (ledger) => {
+      const lastClaims = {};
+      Object.entries(ledger?.lastClaims || {}).forEach(([id, time]) => {
+        if (now - time < cooldownMs) lastClaims[id] = time;
+      });
+
+      if (lastClaims[trackId]) {
+        outcome = { counted: false, reward: 0, reason: 'cooldown' };
+        return { ...ledger, lastClaims };
+      }
+
+      const dayOms = ledger?.day === day ? ledger.dayOms || 0 : 0;
+      const underCap = dayOms + config.listenerReward <= config.listenerDailyCap;
+      const reward = listener && underCap ? config.listenerReward : 0;
+      outcome = { counted: true, reward, reason: listener && !underCap ? 'daily_cap' : null };
+      return {
+        ...ledger,
+        lastClaims: { ...lastClaims, [trackId]: now },
+        day,
+        dayOms: dayOms + reward
+      };
+    });
+
+    result.reason = outcome.reason;
+    if (!outcome.counted) {
+      console.log(`⏳ Listen on ${trackId} by ${listenerKey} is within cooldown`);
+      return { ok: true, data: result };
+    }
+
+    result.counted = true;
+    result.listens_count = await store.tracks.incrementListens(trackId);
+
+    if (outcome.reward > 0) {
+      const { balance } = await omsLedger.credit(uid, outcome.reward, 'listen_reward', { trackId, sessionId });
+      result.oms = balance;
+      result.awarded.listener = outcome.reward;
+      console.log(`🎮 Awarded ${outcome.reward} OMs to listener ${uid} (balance ${result.oms})`);
+    }
+
+    const artist = listener && track.user_id ? await store.users.get(track.user_id) : null;
+    if (artist) {
+      let artistReward = 0;
+      await store.listens.updateLedger(track.user_id, (ledger) => {
+        const artistDayOms = ledger?.artistDay === day ? ledger.artistDayOms || 0 : 0;
+        artistReward = artistDayOms + config.artistReward <= config.artistDailyCap ? config.artistReward : 0;
+        return { ...ledger, artistDay: day, artistDayOms: artistDayOms + artistReward };
+      });
+
+      if (artistReward > 0) {
+        await omsLedger.credit(track.user_id, artistReward, 'artist_reward', { trackId });
+        result.awarded.artist = artistReward;
+        console.log(`🎨 Awarded ${artistReward} OMs to artist ${track.user_id}`);
+      }
+    }
+
+    return { ok: true, data: result };
+  }
+
+  return { start, heartbeat, claim };
+}
+
+module.exports = { createListenRewards, listenerKeyFor };
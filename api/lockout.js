@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// Login brute-force protection
+// Failed logins are counted per account (by email, whether or not it exists) and per IP.
+// The maxFailures-th failure locks that key for baseLockSeconds, and each failure after the
+// lock ends locks it for twice as long as the last, up to maxLockSeconds. A counter starts over once it has seen no
+// failures for failureWindowSeconds, and a successful login clears the account's counter
+// (not the IP's, so one valid account can't be used to reset it).
+//
+// Counters: security/loginAttempts/<account_<hash> | ip_<hash>> = { failures, lastFailureAt, lockedUntil }
+//
+// Every attempt is logged as one JSON line prefixed with "🔐 security" for log-based alerting.
+
+const DEFAULTS = {
+  accountMaxFailures: 5,
+  ipMaxFailures: 20,
+  baseLockSeconds: 30,
+  maxLockSeconds: 60 * 60,
+  failureWindowSeconds: 60 * 60
+};
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// li***@sublair.local - enough to correlate attempts without spelling out the address
+function maskEmail(email) {
+  const [name, domain] = String(email || '').split('@');
+  if (!domain) return '***';
+  return `${name.slice(0, 2)}***@${domain}`;
+}
+
+function securityLog(event, fields) {
+  console.log(`🔐 security ${JSON.stringify({ type: 'security', event, ...fields, time: new Date().toISOString() })}`);
+}
+
+function createLoginGuard(store, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const windowMs = config.failureWindowSeconds * 1000;
+
+  function keysFor(email, ip) {
+    return {
+      account: `account_${hashKey(normalizeEmail(email))}`,
+      ip: `ip_${hashKey(ip)}`
+    };
+  }
+
+  function lockMs(failures, maxFailures) {
+    const excess = failures - maxFailures;
+    if (excess < 0) return 0;
+    return Math.min(config.baseLockSeconds * 2 ** excess, config.maxLockSeconds) * 1000;
+  }
+
+  function lockedFailure(code, lockedUntil) {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    const minutes = Math.ceil(retryAfter / 60);
+    return {
+      ok: false,
+      status: 429,
+      code,
+      retryAfter,
+      error: code === 'ACCOUNT_LOCKED'
+        ? `Too many failed attempts for this account. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+        : `Too many failed logins from your network. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+    };
+  }
+
+  // The account's lock wins over the IP's, as it's the more useful message
+  function lockOf(accountEntry, ipEntry, now) {
+    if (accountEntry?.lockedUntil > now) return lockedFailure('ACCOUNT_LOCKED', accountEntry.lockedUntil);
+    if (ipEntry?.lockedUntil > now) return lockedFailure('IP_LOCKED', ipEntry.lockedUntil);
+    return null;
+  }
+
+  // Resolves to { ok: true } or a 429 failure with code and retryAfter (seconds)
+  async function check(email, ip) {
+    const keys = keysFor(email, ip);
+    const [accountEntry, ipEntry] = await Promise.all([
+      store.loginAttempts.get(keys.account),
+      store.loginAttempts.get(keys.ip)
+    ]);
+
+    const locked = lockOf(accountEntry, ipEntry, Date.now());
+    if (locked) {
+      securityLog('login_blocked', { account: maskEmail(normalizeEmail(email)), ip, code: locked.code, retryAfter: locked.retryAfter });
+      return locked;
+    }
+    return { ok: true };
+  }
+
+  function addFailure(key, maxFailures, now) {
+    return store.loginAttempts.update(key, (entry) => {
+      const stale = !entry || (now - entry.lastFailureAt > windowMs && !(entry.lockedUntil > now));
+      const failures = (stale ? 0 : entry.failures) + 1;
+      const lock = lockMs(failures, maxFailures);
+      return {
+        failures,
+        lastFailureAt: now,
+        lockedUntil: lock > 0 ? now + lock : null
+      };
+    });
+  }
+
+  // Counts a failed login. Resolves to the resulting 429 failure if it locked the
+  // account or IP, otherwise null
+  async function recordFailure(email, ip, reason) {
+    const keys = keysFor(email, ip);
+    const now = Date.now();
+    const [account, ipResult] = await Promise.all([
+      addFailure(keys.account, config.accountMaxFailures, now),
+      addFailure(keys.ip, config.ipMaxFailures, now)
+    ]);
+
+    securityLog('login_failure', {
+      account: maskEmail(normalizeEmail(email)),
+      ip,
+      reason,
+      accountFailures: account.value?.failures,
+      ipFailures: ipResult.value?.failures
+    });
+
+    const locked = lockOf(account.value, ipResult.value, now);
+    if (locked) {
+      securityLog('lockout', { account: maskEmail(normalizeEmail(email)), ip, code: locked.code, retryAfter: locked.retryAfter });
+    }
+    return locked;
+  }
+
+  async function recordSuccess(email, ip, uid) {
+    await store.loginAttempts.remove(keysFor(email, ip).account);
+    securityLog('login_success', { account: maskEmail(normalizeEmail(email)), ip, uid });
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess
+  };
+}
+
+module.exports = { createLoginGuard, maskEmail };
@@ -0,0 +1,141 @@
+// Chat moderation
+// Roles:     admins (see auth.js) and moderators, from the `moderator: true` token claim
+//            or moderation/roles/<uid> = 'moderator'. Only admins can sanction moderators.
+// Sanctions: moderation/sanctions/<uid> = { type, until, reason, actorUid, createdAt }
+//            A mute always expires; a ban may be permanent (until: null). Both block posting.
+// Filters:   moderation/filters = { blockedWords, blockLinks, allowedDomains }
+//            Blocked words are masked; with blockLinks, links outside allowedDomains are rejected.
+// Moderator actions are recorded in moderation/log.
+
+const SANCTION_TYPES = ['mute', 'ban'];
+const FILTERS_TTL_MS = 30 * 1000;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match of any blocked word
+function buildWordPattern(words) {
+  if (words.length === 0) return null;
+  const alternatives = words.map(escapeRegExp).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function linkHost(url) {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+function cleanList(value) {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean)));
+}
+
+function createModeration(store, options = {}) {
+  const adminUids = new Set(options.adminUids || []);
+  const defaultFilters = {
+    blockedWords: cleanList(options.blockedWords),
+    blockLinks: options.blockLinks === true,
+    allowedDomains: cleanList(options.allowedDomains)
+  };
+  let filtersCache = null;
+
+  async function isModerator(user) {
+    if (!user) return false;
+    if (user.isAdmin || user.isModerator) return true;
+    return await store.moderation.getRole(user.uid) === 'moderator';
+  }
+
+  async function roleOf(user) {
+    if (user.isAdmin) return 'admin';
+    return await isModerator(user) ? 'moderator' : null;
+  }
+
+  // Role of any uid, as far as the server can tell without their token
+  async function storedRoleOf(uid) {
+    if (adminUids.has(uid)) return 'admin';
+    return await store.moderation.getRole(uid);
+  }
+
+  // The user's current mute or ban, or null
+  async function activeSanction(uid) {
+    const sanction = await store.moderation.getSanction(uid);
+    if (!sanction) return null;
+    if (sanction.until && sanction.until <= Date.now()) return null;
+    return sanction;
+  }
+
+  async function loadFilters() {
+    if (filtersCache && Date.now() - filtersCache.loadedAt < FILTERS_TTL_MS) {
+      return filtersCache;
+    }
+    const filters = { ...defaultFilters, ...(await store.moderation.getFilters() || {}) };
+    filtersCache = {
+      filters,
+      wordPattern: buildWordPattern(filters.blockedWords || []),
+      loadedAt: Date.now()
+    };
+    return filtersCache;
+  }
+
+  async function getFilters() {
+    return (await loadFilters()).filters;
+  }
+
+  async function setFilters(data) {
+    const filters = {
+      blockedWords: cleanList(data.blockedWords),
+      blockLinks: data.blockLinks === true,
+      allowedDomains: cleanList(data.allowedDomains)
+    };
+    await store.moderation.setFilters(filters);
+    filtersCache = null;
+    return filters;
+  }
+
+  // Resolves to { ok: true, text, masked } with blocked words masked, or { ok: false, error }
+  async function filterMessage(text) {
+    const { filters, wordPattern } = await loadFilters();
+
+    if (filters.blockLinks) {
+      const blockedLink = (text.match(URL_PATTERN) || []).find(url => {
+        const host = linkHost(url);
+        return !host || !filters.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+      });
+      if (blockedLink) {
+        return { ok: false, error: 'Links to that site are not allowed in chat' };
+      }
+    }
+
+    const filtered = wordPattern
+      ? text.replace(wordPattern, word => '*'.repeat(word.length))
+      : text;
+    return { ok: true, text: filtered, masked: filtered !== text };
+  }
+
+  // Resolves to the log entry id
+  function log(action, actor, details = {}) {
+    console.log(`🛡️ Moderation: ${action} by ${actor.uid}`);
+    return store.moderation.addLog({ action, actorUid: actor.uid, ...details });
+  }
+
+  return {
+    isModerator,
+    roleOf,
+    storedRoleOf,
+    activeSanction,
+    getFilters,
+    setFilters,
+    filterMessage,
+    log
+  };
+}
+
+module.exports = { createModeration, SANCTION_TYPES };
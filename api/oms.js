@@ -0,0 +1,85 @@
+// OMs ledger
+// Every balance change is an append-only entry under omsLedger/<uid>, written together
+// with the users/<uid>/oms balance it affects. The balance is a running sum of the
+// ledger that reconcile() can recompute and repair.
+//
+// Entry: { type, amount, createdAt, ...details }
+
+const OM_ENTRY_TYPES = [
+  'listen_reward',
+  'artist_reward',
+  'floaty_bonus',
+  'admin_adjustment',
+  // Balance a user already had when their ledger was started (not applied again)
+  'opening_balance'
+];
+
+function createOmsLedger(store) {
+  // Users earned OMs before the ledger existed, so the first entry for a user
+  // records their current balance as an opening balance.
+  // Concurrent first credits can all find the ledger empty; only the one that sets the
+  // omsLedgerOpened/<uid> marker writes the entry. The balance is read before claiming it, so
+  // credits from the others (which land after the claim) aren't counted in it.
+  async function openLedger(uid) {
+    const [latest] = await store.oms.history(uid, { limit: 1 });
+    if (latest) return false;
+
+    const user = await store.users.get(uid);
+    const balance = user?.oms || 0;
+    if (balance === 0) return false;
+    if (!await store.oms.markOpened(uid)) return false;
+
+    await store.oms.record(uid, { type: 'opening_balance', amount: balance }, { applyToBalance: false });
+    console.log(`📒 Opened OMs ledger for ${uid} with balance ${balance}`);
+    return true;
+  }
+
+  // Resolves to { id, balance }
+  async function credit(uid, amount, type, details = {}) {
+    if (!OM_ENTRY_TYPES.includes(type) || type === 'opening_balance') {
+      throw new Error(`Unknown OM entry type "${type}"`);
+    }
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new Error('OM amount must be a non-zero integer');
+    }
+
+    await openLedger(uid);
+    return store.oms.record(uid, { ...details, type, amount });
+  }
+
+  // Recompute every balance from its ledger and fix the ones that drifted.
+  // Balances are read before ledgers and only overwritten if unchanged since, so a
+  // credit landing mid-run is skipped rather than clobbered.
+  async function reconcile() {
+    const users = await store.users.list() || {};
+    const ledgers = await store.oms.all() || {};
+    const report = { checked: 0, opened: 0, corrected: [], skipped: 0 };
+
+    for (const [uid, user] of Object.entries(users)) {
+      report.checked++;
+      const balance = user.oms || 0;
+      const entries = Object.values(ledgers[uid] || {});
+
+      if (entries.length === 0) {
+        if (await openLedger(uid)) report.opened++;
+        continue;
+      }
+
+      const total = entries.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+      if (total === balance) continue;
+
+      if (await store.oms.setBalance(uid, balance, total)) {
+        report.corrected.push({ uid, from: balance, to: total });
+        console.log(`🧾 Reconciled OMs for ${uid}: ${balance} -> ${total}`);
+      } else {
+        report.skipped++;
+      }
+    }
+
+    return report;
+  }
+
+  return { credit, reconcile };
+}
+
+module.exports = { createOmsLedger, OM_ENTRY_TYPES };
@@ -0,0 +1,715 @@
+const crypto = require('crypto');
+
+// DEEPWAVES projects: create, rename, delete, commit versions, and read their history and diffs
+// projects/<projectId> = { name, owner_uid, created_at, updated_at, version_count,
+//                          versions: [version], branches: { <branch>: <head version_id> },
+//                          collaborators: { <uid>: { role, added_at, added_by } } }
+// version = { version_id, version_number, commit_message, commit_type, committed_at, committed_by,
+//             branch, parent_ids: [version_id],
+//             metadata: { bpm, key, genre, vibe },
+//             files: { preview_track: file, project_zip?: file } }
+// file = { url, path, size, content_type, filename }
+//
+// versions stays in commit order; the graph comes from parent_ids. A commit goes on a branch
+// (main unless named), its parent is that branch's head, and a merge adds a second parent.
+// Versions from before branching have no parent_ids or branches: each follows the previous one on main.
+//
+// Access: viewers can list versions, history and diffs; editors can also upload and commit;
+// only the owner renames, deletes and manages collaborators. Collaborators join by being added
+// by username or through an invite link. The link's token is "<projectId>.<secret>", and only the
+// secret's hash is kept: projectInvites/<projectId>/<inviteId> = { role, created_by, created_at, expires_at }
+//
+// Committing is two steps, like staging in git: each file is uploaded on its own (raw request
+// body) into projectUploads/<projectId>/<uploadId>, then the commit names the uploads to use.
+// Uploaded bytes live in the store's file storage under projects/<projectId>/<uploadId>/<filename>.
+
+const MAX_NAME_LENGTH = 100;
+const MAX_COMMIT_MESSAGE_LENGTH = 500;
+const COMMIT_TYPES = ['initial', 'update', 'fix', 'merge'];
+const DEFAULT_BRANCH = 'main';
+// Branch names are database keys, so no dots or slashes
+const BRANCH_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const METADATA_FIELDS = ['bpm', 'key', 'genre', 'vibe'];
+const MAX_METADATA_LENGTH = { key: 20, genre: 40, vibe: 40 };
+const MIN_BPM = 20;
+const MAX_BPM = 400;
+// Weakest first; collaborators can be given any role but owner
+const ROLES = ['viewer', 'editor', 'owner'];
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+const DEFAULT_INVITE_HOURS = 7 * 24;
+const MAX_INVITE_HOURS = 30 * 24;
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{24}$/;
+const INVITE_ID_PATTERN = /^[a-f0-9]{32}$/;
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const USERNAME_LOOKUP_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const ZIP_CONTENT_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+const UPLOAD_KINDS = {
+  preview_track: {
+    defaultName: 'preview',
+    accepts: (contentType) => /^audio\//.test(contentType)
+  },
+  project_zip: {
+    defaultName: 'project.zip',
+    // Zip files start with "PK"
+    accepts: (contentType, body) => ZIP_CONTENT_TYPES.includes(contentType) && body[0] === 0x50 && body[1] === 0x4b
+  }
+};
+
+function safeFilename(filename, fallback) {
+  const base = String(filename || '').split(/[\\/]/).pop().replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 100);
+  return base.replace(/^\.+/, '') || fallback;
+}
+
+function validateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    return { error: `Project name must be 1-${MAX_NAME_LENGTH} characters` };
+  }
+  return { name: trimmed };
+}
+
+function validateMetadata(metadata) {
+  if (metadata === undefined || metadata === null) return { metadata: {} };
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { error: 'metadata must be an object' };
+  }
+
+  const unknown = Object.keys(metadata).filter(field => !METADATA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown metadata: ${unknown.join(', ')}` };
+  }
+
+  const clean = {};
+  if (metadata.bpm !== undefined && metadata.bpm !== null && metadata.bpm !== '') {
+    const bpm = Number(metadata.bpm);
+    if (!Number.isFinite(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) {
+      return { error: `bpm must be a number from ${MIN_BPM} to ${MAX_BPM}` };
+    }
+    clean.bpm = Math.round(bpm * 100) / 100;
+  }
+  for (const field of ['key', 'genre', 'vibe']) {
+    if (metadata[field] === undefined || metadata[field] === null) continue;
+    const value = typeof metadata[field] === 'string' ? metadata[field].trim() : null;
+    if (value === null || value.length > MAX_METADATA_LENGTH[field]) {
+      return { error: `${field} must be text of at most ${MAX_METADATA_LENGTH[field]} characters` };
+    }
+    if (value) clean[field] = value;
+  }
+  return { metadata: clean };
+}
+
+// 'owner', 'editor', 'viewer', or null when the project isn't shared with uid
+function projectRoleOf(project, uid) {
+  if (!uid) return null;
+  if (project.owner_uid === uid) return 'owner';
+  const role = project.collaborators?.[uid]?.role;
+  return COLLABORATOR_ROLES.includes(role) ? role : null;
+}
+
+function hasRole(role, needed) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+function hashInviteSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 32);
+}
+
+function normalizeVersions(project) {
+  const versions = Array.isArray(project.versions) ? project.versions : [];
+  return versions.map((version, index) => ({
+    ...version,
+    branch: version.branch || DEFAULT_BRANCH,
+    parent_ids: version.parent_ids || (index > 0 ? [versions[index - 1].version_id] : [])
+  }));
+}
+
+function branchHeads(project, versions) {
+  if (project.branches) return project.branches;
+  return versions.length > 0 ? { [DEFAULT_BRANCH]: versions[versions.length - 1].version_id } : {};
+}
+
+// version_ids reachable from id through parents, id included
+function ancestorsOf(byId, id) {
+  const seen = new Set();
+  const stack = [id];
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (seen.has(next) || !byId.has(next)) continue;
+    seen.add(next);
+    stack.push(...byId.get(next).parent_ids);
+  }
+  return seen;
+}
+
+// Newest version that both a and b descend from
+function commonAncestor(versions, byId, a, b) {
+  const fromA = ancestorsOf(byId, a);
+  const fromB = ancestorsOf(byId, b);
+  for (let i = versions.length - 1; i >= 0; i--) {
+    const id = versions[i].version_id;
+    if (fromA.has(id) && fromB.has(id)) return id;
+  }
+  return null;
+}
+
+function versionSummary(projectId, version) {
+  return {
+    version_id: version.version_id,
+    file_id: `${projectId}_${version.version_id}`,
+    version_number: version.version_number,
+    branch: version.branch,
+    parent_ids: version.parent_ids,
+    commit_type: version.commit_type,
+    commit_message: version.commit_message,
+    committed_at: version.committed_at
+  };
+}
+
+// What changed from one version to another: metadata fields that differ, and file sizes
+function diffVersions(from, to) {
+  const metadata = {};
+  METADATA_FIELDS.forEach(field => {
+    const before = from.metadata?.[field] ?? null;
+    const after = to.metadata?.[field] ?? null;
+    if (before === after) return;
+    metadata[field] = { from: before, to: after };
+    if (field === 'bpm' && before !== null && after !== null) {
+      metadata.bpm.delta = Math.round((after - before) * 100) / 100;
+    }
+  });
+
+  const files = {};
+  Object.keys(UPLOAD_KINDS).forEach(kind => {
+    const before = from.files?.[kind] || null;
+    const after = to.files?.[kind] || null;
+    if (!before && !after) return;
+    files[kind] = {
+      from: before ? before.size || 0 : null,
+      to: after ? after.size || 0 : null,
+      delta: (after?.size || 0) - (before?.size || 0),
+      changed: (before?.url || null) !== (after?.url || null)
+    };
+  });
+
+  return { metadata, files };
+}
+
+// Where a new commit goes: { branch, parentIds, commitType, branches } or { error } (a failure)
+function placeCommit(current, versions, body, failure) {
+  const byId = new Map(versions.map(version => [version.version_id, version]));
+  const branches = { ...branchHeads(current, versions) };
+  const branch = body.branch || DEFAULT_BRANCH;
+  const head = branches[branch];
+
+  // A new branch starts from the given version, or main's head
+  const parentId = body.parent_id || head || branches[DEFAULT_BRANCH] || null;
+  if (parentId && !byId.has(parentId)) {
+    return { error: failure(400, 'parent_id is not a version of this project') };
+  }
+  if (head && parentId !== head) {
+    return { error: failure(409, `Branch ${branch} has moved on, its head is now ${byId.get(head).version_number}`) };
+  }
+
+  const mergeId = body.merge_parent_id || null;
+  if (mergeId && (!byId.has(mergeId) || mergeId === parentId)) {
+    return { error: failure(400, 'merge_parent_id must be another version of this project') };
+  }
+  if (mergeId && ancestorsOf(byId, parentId).has(mergeId)) {
+    return { error: failure(409, `${byId.get(mergeId).version_number} is already part of ${branch}`) };
+  }
+
+  const commitType = body.commit_type || (mergeId ? 'merge' : versions.length === 0 ? 'initial' : 'update');
+  if (commitType === 'initial' && versions.length > 0) {
+    return { error: failure(409, 'Project already has an initial version') };
+  }
+  if ((commitType === 'merge') !== Boolean(mergeId)) {
+    return { error: failure(400, 'Merge commits need a merge_parent_id, and only merges can have one') };
+  }
+
+  return {
+    branch,
+    parentIds: [parentId, mergeId].filter(Boolean),
+    commitType,
+    branches
+  };
+}
+
+function createProjects(store, options = {}) {
+  const maxBytes = {
+    preview_track: options.previewMaxBytes || 50 * 1024 * 1024,
+    project_zip: options.zipMaxBytes || 200 * 1024 * 1024
+  };
+
+  function failure(status, error) {
+    return { ok: false, status, error };
+  }
+
+  // Resolves to { ok: true, project, role } when uid has at least the needed role, or a failure
+  async function access(uid, projectId, needed) {
+    const project = await store.projects.get(projectId);
+    if (!project) return failure(404, 'Project not found');
+
+    const role = projectRoleOf(project, uid);
+    if (!role) {
+      console.log(`🚫 Access denied: Project ${projectId} is not shared with user ${uid}`);
+      return failure(403, 'Access denied: This project is not shared with you');
+    }
+    if (!hasRole(role, needed)) {
+      console.log(`🚫 Access denied: ${uid} is a ${role} on ${projectId}, needs ${needed}`);
+      return failure(403, needed === 'owner'
+        ? 'Access denied: Only the project owner can do that'
+        : 'Access denied: Viewers cannot change this project');
+    }
+    return { ok: true, project, role };
+  }
+
+  async function create(uid, { name } = {}) {
+    const validated = validateName(name);
+    if (validated.error) return failure(400, validated.error);
+
+    const now = Date.now();
+    const project = {
+      name: validated.name,
+      owner_uid: uid,
+      created_at: now,
+      updated_at: now,
+      version_count: 0
+    };
+    const id = await store.projects.create(project);
+    return { ok: true, id, project };
+  }
+
+  async function rename(uid, projectId, { name } = {}) {
+    const validated = validateName(name);
+    if (validated.error) return failure(400, validated.error);
+
+    const owned = await access(uid, projectId, 'owner');
+    if (!owned.ok) return owned;
+
+    const patch = { name: validated.name, updated_at: Date.now() };
+    await store.projects.update(projectId, patch);
+    return { ok: true, project: { ...owned.project, ...patch } };
+  }
+
+  // Deletes the project, its staged uploads, invites, audio analyses and every stored file
+  async function remove(uid, projectId) {
+    const owned = await access(uid, projectId, 'owner');
+    if (!owned.ok) return owned;
+
+    await store.projects.remove(projectId);
+    await store.projects.removeUploads(projectId);
+    await store.projects.removeInvites(projectId);
+    await store.analysis.remove(`projects/${projectId}`);
+    await store.files.removeAll(`projects/${projectId}/`);
+    return { ok: true };
+  }
+
+  // Stores one file for a later commit. Resolves to { ok: true, upload } or a failure
+  async function stageUpload(uid, projectId, { kind, filename, contentType, body }) {
+    const uploadKind = UPLOAD_KINDS[kind];
+    if (!uploadKind) {
+      return failure(400, `kind must be one of: ${Object.keys(UPLOAD_KINDS).join(', ')}`);
+    }
+    if (!Buffer.isBuffer(body) || body.length === 0) {
+      return failure(400, 'Upload body is empty');
+    }
+    if (body.length > maxBytes[kind]) {
+      return failure(413, `${kind} must be at most ${Math.floor(maxBytes[kind] / (1024 * 1024))} MB`);
+    }
+
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!uploadKind.accepts(type, body)) {
+      return failure(415, kind === 'preview_track' ? 'Preview track must be audio' : 'Project file must be a zip archive');
+    }
+
+    const owned = await access(uid, projectId, 'editor');
+    if (!owned.ok) return owned;
+
+    const uploadId = crypto.randomBytes(12).toString('hex');
+    const name = safeFilename(filename, uploadKind.defaultName);
+    const filePath = `projects/${projectId}/${uploadId}/${name}`;
+    const { url } = await store.files.save(filePath, body, type);
+
+    const upload = {
+      kind,
+      url,
+      path: filePath,
+      size: body.length,
+      content_type: type,
+      filename: name,
+      uploaded_by: uid,
+      uploaded_at: Date.now()
+    };
+    await store.projects.setUpload(projectId, uploadId, upload);
+    return { ok: true, upload: { id: uploadId, ...upload } };
+  }
+
+  // Staged upload of the expected kind, or a failure
+  async function stagedFile(projectId, uploadId, kind) {
+    if (typeof uploadId !== 'string' || !UPLOAD_ID_PATTERN.test(uploadId)) {
+      return failure(400, `${kind}_upload_id is required`);
+    }
+    const upload = await store.projects.getUpload(projectId, uploadId);
+    if (!upload || upload.kind !== kind) {
+      return failure(400, `${kind}_upload_id is not a staged ${kind} upload`);
+    }
+    const { url, path, size, content_type, filename } = upload;
+    return { ok: true, file: { url, path, size, content_type, filename } };
+  }
+
+  // Takes staged uploads out of staging, all of them or none. Resolves to their records, or
+  // null when one was already claimed (by a commit that got there first)
+  async function claimUploads(projectId, uploadIds) {
+    const claimed = await Promise.all(uploadIds.map(uploadId => store.projects.claimUpload(projectId, uploadId)));
+    if (claimed.every(Boolean)) return claimed;
+    await releaseUploads(projectId, uploadIds, claimed);
+    return null;
+  }
+
+  // Puts claimed uploads back, for a commit that didn't go through
+  function releaseUploads(projectId, uploadIds, claimed) {
+    return Promise.all(uploadIds.map((uploadId, i) => (
+      claimed[i] ? store.projects.setUpload(projectId, uploadId, claimed[i]) : null
+    )));
+  }
+
+  // Appends a version built from staged uploads. Resolves to { ok: true, project, version, index }
+  async function commit(uid, projectId, body = {}) {
+    const message = typeof body.commit_message === 'string' ? body.commit_message.trim() : '';
+    if (!message || message.length > MAX_COMMIT_MESSAGE_LENGTH) {
+      return failure(400, `commit_message must be 1-${MAX_COMMIT_MESSAGE_LENGTH} characters`);
+    }
+    if (body.commit_type !== undefined && !COMMIT_TYPES.includes(body.commit_type)) {
+      return failure(400, `commit_type must be one of: ${COMMIT_TYPES.join(', ')}`);
+    }
+    if (body.branch !== undefined && (typeof body.branch !== 'string' || !BRANCH_PATTERN.test(body.branch))) {
+      return failure(400, 'branch must be 1-40 letters, numbers, dashes or underscores');
+    }
+    const validated = validateMetadata(body.metadata);
+    if (validated.error) return failure(400, validated.error);
+
+    const owned = await access(uid, projectId, 'editor');
+    if (!owned.ok) return owned;
+
+    const preview = await stagedFile(projectId, body.preview_track_upload_id, 'preview_track');
+    if (!preview.ok) return preview;
+    const files = { preview_track: preview.file };
+    const uploadIds = [body.preview_track_upload_id];
+
+    if (body.project_zip_upload_id !== undefined && body.project_zip_upload_id !== null) {
+      const zip = await stagedFile(projectId, body.project_zip_upload_id, 'project_zip');
+      if (!zip.ok) return zip;
+      files.project_zip = zip.file;
+      uploadIds.push(body.project_zip_upload_id);
+    }
+
+    // The files belong to the version from here on; claiming them first keeps two commits
+    // from both using the same upload
+    const claimed = await claimUploads(projectId, uploadIds);
+    if (!claimed) return failure(409, 'A staged upload was already committed');
+
+    const now = Date.now();
+    let rejection = null;
+    let version = null;
+    const { value: project } = await store.projects.transaction(projectId, (current) => {
+      rejection = null;
+      if (!current) return current;
+      if (!hasRole(projectRoleOf(current, uid), 'editor')) {
+        rejection = failure(403, 'Access denied: Viewers cannot change this project');
+        return;
+      }
+
+      const versions = normalizeVersions(current);
+      const placement = placeCommit(current, versions, body, failure);
+      if (placement.error) {
+        rejection = placement.error;
+        return;
+      }
+
+      version = {
+        version_id: `v${versions.length + 1}_${now.toString(36)}`,
+        version_number: `v${versions.length + 1}`,
+        commit_message: message,
+        commit_type: placement.commitType,
+        committed_at: now,
+        committed_by: uid,
+        branch: placement.branch,
+        parent_ids: placement.parentIds,
+        metadata: validated.metadata,
+        files
+      };
+      return {
+        ...current,
+        versions: [...versions, version],
+        branches: { ...placement.branches, [placement.branch]: version.version_id },
+        version_count: versions.length + 1,
+        updated_at: now
+      };
+    });
+
+    if (rejection || !project) {
+      await releaseUploads(projectId, uploadIds, claimed);
+      return rejection || failure(404, 'Project not found');
+    }
+
+    return { ok: true, project, version, index: project.versions.length - 1 };
+  }
+
+  // The version graph: every version with its parents, plus the branch heads
+  async function history(uid, projectId) {
+    const owned = await access(uid, projectId, 'viewer');
+    if (!owned.ok) return owned;
+
+    const versions = normalizeVersions(owned.project);
+    return {
+      ok: true,
+      data: {
+        project: { id: projectId, name: owned.project.name || 'Untitled Project' },
+        default_branch: DEFAULT_BRANCH,
+        branches: branchHeads(owned.project, versions),
+        versions: versions.map(version => versionSummary(projectId, version))
+      }
+    };
+  }
+
+  // Changes from one version to another; from defaults to the first parent of to
+  async function diff(uid, projectId, { from, to } = {}) {
+    const owned = await access(uid, projectId, 'viewer');
+    if (!owned.ok) return owned;
+
+    const versions = normalizeVersions(owned.project);
+    const byId = new Map(versions.map(version => [version.version_id, version]));
+    const target = byId.get(to);
+    if (!target) return failure(404, 'Version not found');
+
+    const fromId = from || target.parent_ids[0];
+    if (!fromId) return failure(400, `${target.version_number} has no parent to compare with`);
+    const base = byId.get(fromId);
+    if (!base) return failure(404, 'Version not found');
+
+    return {
+      ok: true,
+      data: {
+        from: versionSummary(projectId, base),
+        to: versionSummary(projectId, target),
+        common_ancestor: commonAncestor(versions, byId, base.version_id, target.version_id),
+        ...diffVersions(base, target)
+      }
+    };
+  }
+
+  // The preview track of a version (default: the head of main). Resolves to
+  // { ok: true, versionId, file } or a failure
+  async function preview(uid, projectId, versionId) {
+    const owned = await access(uid, projectId, 'viewer');
+    if (!owned.ok) return owned;
+
+    const versions = normalizeVersions(owned.project);
+    const id = versionId || branchHeads(owned.project, versions)[DEFAULT_BRANCH];
+    const version = versions.find(candidate => candidate.version_id === id);
+    if (!version) return failure(404, 'Version not found');
+
+    const file = version.files?.preview_track;
+    if (!file) return failure(404, `${version.version_number} has no preview track`);
+    return { ok: true, versionId: version.version_id, file };
+  }
+
+  // One stored file of a version, for someone who can still view the project. Resolves to
+  // { ok: true, file } or a failure
+  async function versionFile(uid, projectId, versionId, kind) {
+    const owned = await access(uid, projectId, 'viewer');
+    if (!owned.ok) return owned;
+
+    const version = normalizeVersions(owned.project).find(candidate => candidate.version_id === versionId);
+    const file = UPLOAD_KINDS[kind] && version?.files?.[kind];
+    if (!file) return failure(404, 'File not found');
+    return { ok: true, file };
+  }
+
+  // uid of the user with this username (any case), or null
+  async function findUidByUsername(username) {
+    const key = username.toLowerCase();
+    const owner = await store.users.getUsernameOwner(key);
+    if (owner) return owner;
+
+    const match = Object.entries(await store.users.list() || {})
+      .find(([, user]) => typeof user.username === 'string' && user.username.toLowerCase() === key);
+    return match ? match[0] : null;
+  }
+
+  async function memberProfile(uid) {
+    const user = await store.users.get(uid);
+    return {
+      uid,
+      username: user?.username || user?.displayName || 'Anonymous',
+      photoURL: user?.photoURL || null
+    };
+  }
+
+  // Owner and collaborators; the owner also sees the open invites
+  async function listMembers(uid, projectId) {
+    const owned = await access(uid, projectId, 'viewer');
+    if (!owned.ok) return owned;
+
+    const collaborators = Object.entries(owned.project.collaborators || {})
+      .filter(([, collaborator]) => COLLABORATOR_ROLES.includes(collaborator.role));
+    const [owner, ...members] = await Promise.all([
+      memberProfile(owned.project.owner_uid),
+      ...collaborators.map(async ([memberUid, collaborator]) => ({
+        ...await memberProfile(memberUid),
+        role: collaborator.role,
+        added_at: collaborator.added_at
+      }))
+    ]);
+
+    const data = { role: owned.role, owner, collaborators: members };
+    if (owned.role === 'owner') {
+      const now = Date.now();
+      data.invites = Object.entries(await store.projects.listInvites(projectId) || {})
+        .filter(([, invite]) => invite.expires_at > now)
+        .map(([id, invite]) => ({ id, role: invite.role, created_at: invite.created_at, expires_at: invite.expires_at }));
+    }
+    return { ok: true, data };
+  }
+
+  function validateRole(role) {
+    return COLLABORATOR_ROLES.includes(role) ? null : `role must be one of: ${COLLABORATOR_ROLES.join(', ')}`;
+  }
+
+  async function addCollaborator(uid, projectId, { username, role } = {}) {
+    const roleError = validateRole(role);
+    if (roleError) return failure(400, roleError);
+    if (typeof username !== 'string' || !USERNAME_LOOKUP_PATTERN.test(username.trim())) {
+      return failure(400, 'username is required');
+    }
+
+    const owned = await access(uid, projectId, 'owner');
+    if (!owned.ok) return owned;
+
+    const memberUid = await findUidByUsername(username.trim());
+    if (!memberUid) return failure(404, 'No user with that username');
+    if (memberUid === owned.project.owner_uid) return failure(400, 'The owner already has full access');
+
+    const collaborator = { role, added_at: Date.now(), added_by: uid };
+    await store.projects.setCollaborator(projectId, memberUid, collaborator);
+    return { ok: true, collaborator: { ...await memberProfile(memberUid), role, added_at: collaborator.added_at } };
+  }
+
+  async function setCollaboratorRole(uid, projectId, memberUid, { role } = {}) {
+    const roleError = validateRole(role);
+    if (roleError) return failure(400, roleError);
+
+    const owned = await access(uid, projectId, 'owner');
+    if (!owned.ok) return owned;
+
+    const existing = owned.project.collaborators?.[memberUid];
+    if (!existing) return failure(404, 'Not a collaborator on this project');
+
+    await store.projects.setCollaborator(projectId, memberUid, { ...existing, role });
+    return { ok: true, collaborator: { ...await memberProfile(memberUid), role, added_at: existing.added_at } };
+  }
+
+  // The owner can remove anyone; collaborators can remove themselves (leave)
+  async function removeCollaborator(uid, projectId, memberUid) {
+    const owned = await access(uid, projectId, 'viewer');
+    if (!owned.ok) return owned;
+
+    if (memberUid !== uid && owned.role !== 'owner') {
+      return failure(403, 'Access denied: Only the project owner can do that');
+    }
+    if (memberUid === owned.project.owner_uid) {
+      return failure(400, 'The owner cannot leave their own project');
+    }
+    if (!owned.project.collaborators?.[memberUid]) {
+      return failure(404, 'Not a collaborator on this project');
+    }
+
+    await store.projects.setCollaborator(projectId, memberUid, null);
+    return { ok: true };
+  }
+
+  // Resolves to { ok: true, invite: { id, token, role, expires_at } }; the token is only shown here
+  async function createInvite(uid, projectId, { role = 'viewer', expires_in_hours } = {}) {
+    const roleError = validateRole(role);
+    if (roleError) return failure(400, roleError);
+
+    const hours = expires_in_hours === undefined ? DEFAULT_INVITE_HOURS : Number(expires_in_hours);
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_INVITE_HOURS) {
+      return failure(400, `expires_in_hours must be from 1 to ${MAX_INVITE_HOURS}`);
+    }
+
+    const owned = await access(uid, projectId, 'owner');
+    if (!owned.ok) return owned;
+
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const id = hashInviteSecret(secret);
+    const now = Date.now();
+    const invite = { role, created_by: uid, created_at: now, expires_at: now + Math.round(hours * 60 * 60 * 1000) };
+    await store.projects.setInvite(projectId, id, invite);
+
+    return { ok: true, invite: { id, token: `${projectId}.${secret}`, role, expires_at: invite.expires_at } };
+  }
+
+  async function revokeInvite(uid, projectId, inviteId) {
+    const owned = await access(uid, projectId, 'owner');
+    if (!owned.ok) return owned;
+
+    if (!INVITE_ID_PATTERN.test(inviteId) || !await store.projects.getInvite(projectId, inviteId)) {
+      return failure(404, 'Invite not found');
+    }
+    await store.projects.removeInvite(projectId, inviteId);
+    return { ok: true };
+  }
+
+  // Links can be used by several people until they expire or are revoked. Accepting never
+  // lowers a role someone already has. Resolves to { ok: true, projectId, project, role, joined }
+  async function acceptInvite(uid, token) {
+    const [projectId, secret, extra] = typeof token === 'string' ? token.trim().split('.') : [];
+    if (!projectId || !secret || extra !== undefined || !PROJECT_ID_PATTERN.test(projectId)) {
+      return failure(400, 'Invalid invite link');
+    }
+
+    const inviteId = hashInviteSecret(secret);
+    const invite = await store.projects.getInvite(projectId, inviteId);
+    if (!invite) return failure(404, 'Invite link is invalid or has been revoked');
+    if (invite.expires_at <= Date.now()) {
+      await store.projects.removeInvite(projectId, inviteId);
+      return failure(410, 'Invite link has expired');
+    }
+
+    const project = await store.projects.get(projectId);
+    if (!project) return failure(404, 'Project not found');
+
+    const current = projectRoleOf(project, uid);
+    if (current && hasRole(current, invite.role)) {
+      return { ok: true, projectId, project, role: current, joined: false };
+    }
+
+    await store.projects.setCollaborator(projectId, uid, { role: invite.role, added_at: Date.now(), added_by: invite.created_by });
+    return { ok: true, projectId, project, role: invite.role, joined: true };
+  }
+
+  return {
+    access,
+    create,
+    rename,
+    remove,
+    stageUpload,
+    commit,
+    history,
+    diff,
+    preview,
+    versionFile,
+    listMembers,
+    addCollaborator,
+    setCollaboratorRole,
+    removeCollaborator,
+    createInvite,
+    revokeInvite,
+    acceptInvite,
+    maxUploadBytes: Math.max(maxBytes.preview_track, maxBytes.project_zip)
+  };
+}
+
+module.exports = { createProjects, projectRoleOf };
@@ -0,0 +1,149 @@
+// In-process full-text index for tracks and DEEPWAVES project versions
+// Documents: { id, type, fields: { name: text }, popularity, item }
+// Every query term must match some field, by exact term, prefix or small edit distance.
+
+const MATCH_SCORES = {
+  exact: 3,
+  prefix: 2,
+  fuzzy: 1
+};
+
+function tokenize(text) {
+  if (text === undefined || text === null) return [];
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .split(/[^a-z0-9#]+/)
+    .filter(Boolean);
+}
+
+// Edits allowed for a query term to still count as a (fuzzy) match
+function maxEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Levenshtein distance, bailing out once it exceeds limit
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function createSearchIndex(fieldWeights) {
+  const documents = [];
+  // term -> [{ doc, field }]
+  const postings = new Map();
+  let sortedTerms = null;
+
+  function add(doc) {
+    documents.push(doc);
+    Object.entries(doc.fields).forEach(([field, text]) => {
+      new Set(tokenize(text)).forEach(term => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({ doc, field });
+      });
+    });
+    sortedTerms = null;
+  }
+
+  function terms() {
+    if (!sortedTerms) sortedTerms = Array.from(postings.keys()).sort();
+    return sortedTerms;
+  }
+
+  // All index terms starting with prefix (binary search into the sorted term list)
+  function termsWithPrefix(prefix) {
+    const list = terms();
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < list.length && list[i].startsWith(prefix); i++) {
+      matches.push(list[i]);
+    }
+    return matches;
+  }
+
+  // Map of doc -> best score for a single query term
+  function scoreTerm(queryTerm) {
+    const scores = new Map();
+
+    function credit(term, kind) {
+      postings.get(term).forEach(({ doc, field }) => {
+        const score = MATCH_SCORES[kind] * (fieldWeights[field] || 1);
+        if (!scores.has(doc) || scores.get(doc) < score) scores.set(doc, score);
+      });
+    }
+
+    termsWithPrefix(queryTerm).forEach(term => {
+      credit(term, term === queryTerm ? 'exact' : 'prefix');
+    });
+
+    const limit = maxEdits(queryTerm);
+    if (limit > 0) {
+      terms().forEach(term => {
+        if (term.startsWith(queryTerm)) return;
+        if (editDistance(queryTerm, term, limit) <= limit) credit(term, 'fuzzy');
+      });
+    }
+
+    return scores;
+  }
+
+  // Ranked results: [{ doc, score }], best first, ties broken by popularity
+  function search(query, options = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0) return [];
+
+    let totals = null;
+    for (const queryTerm of queryTerms) {
+      const scores = scoreTerm(queryTerm);
+      if (totals === null) {
+        totals = scores;
+      } else {
+        const merged = new Map();
+        totals.forEach((score, doc) => {
+          if (scores.has(doc)) merged.set(doc, score + scores.get(doc));
+        });
+        totals = merged;
+      }
+      if (totals.size === 0) return [];
+    }
+
+    return Array.from(totals.entries())
+      .filter(([doc]) => !options.filter || options.filter(doc))
+      .map(([doc, score]) => ({ doc, score }))
+      .sort((a, b) => b.score - a.score || (b.doc.popularity || 0) - (a.doc.popularity || 0))
+      .slice(0, options.limit || 20);
+  }
+
+  return {
+    add,
+    search,
+    get size() {
+      return documents.length;
+    }
+  };
+}
+
+module.exports = { createSearchIndex, tokenize };
@@ -6,7 +6,24 @@ const rateLimit = require('express-rate-limit');
 const fetch = require('node-fetch');
 const admin = require('firebase-admin');
 const http = require('http');
+const path = require('path');
 const WebSocket = require('ws');
+const { createStore } = require('./store');
+const { createSearchIndex } = require('./search');
+const { createSigner } = require('./tokens');
+const { createAuth } = require('./auth');
+const { createListenRewards, listenerKeyFor } = require('./listens');
+const { createOmsLedger } = require('./oms');
+const { createChatHub } = require('./chat');
+const { createModeration, SANCTION_TYPES } = require('./moderation');
+const { createDirectMessages } = require('./dms');
+const { createAccounts } = require('./accounts');
+const { createAuthSessions } = require('./sessions');
+const { createLoginGuard, maskEmail } = require('./lockout');
+const { createProjects, projectRoleOf } = require('./projects');
+const { createAudioAnalysis } = require('./analysis');
+const { createGames } = require('./games');
+const { createStreamKeys } = require('./streamKeys');
 
 // Initialize Firebase Admin (with error handling)
 try {
@@ -19,7 +36,8 @@ try {
         clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
         privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
       }),
-      databaseURL: process.env.FIREBASE_DATABASE_URL
+      databaseURL: process.env.FIREBASE_DATABASE_URL,
+      storageBucket: process.env.FIREBASE_STORAGE_BUCKET
     });
     console.log('✅ Firebase initialized successfully');
   }
@@ -27,8 +45,37 @@ try {
   console.error('❌ Firebase initialization failed:', error.message);
 }
 
-const db = admin.firestore();
-const realtimeDb = admin.database();
+// Data store (Firebase by default, local JSON/in-memory store via DATA_STORE)
+const store = createStore(admin);
+console.log(`🗄️ Data store: ${store.name}`);
+
+// httpOnly cookie sessions, for clients that don't want tokens in the page (see sessions.js)
+const authSessions = createAuthSessions(store, {
+  secure: process.env.SESSION_COOKIE_SECURE !== 'false',
+  maxAgeDays: parseInt(process.env.SESSION_MAX_AGE_DAYS) || 30
+});
+
+// Failed-login tracking per account and per IP, with growing lockouts (see lockout.js)
+const loginGuard = createLoginGuard(store, {
+  accountMaxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5,
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  maxLockSeconds: parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS) || 60 * 60
+});
+
+// Per-route auth declarations: auth('public'), auth('optional'), auth('required'), auth('admin')
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+const auth = createAuth(store, { adminUids: ADMIN_UIDS, sessions: authSessions });
+
+// Every OM balance change goes through the ledger
+const omsLedger = createOmsLedger(store);
+
+// Chat roles, mutes/bans, word and link filters (defaults until an admin saves filters)
+const moderation = createModeration(store, {
+  adminUids: ADMIN_UIDS,
+  blockedWords: (process.env.CHAT_BLOCKED_WORDS || '').split(','),
+  blockLinks: process.env.CHAT_BLOCK_LINKS === 'true',
+  allowedDomains: (process.env.CHAT_ALLOWED_LINK_DOMAINS || 'sublair.com').split(',')
+});
 
 // Initialize Express
 const app = express();
@@ -37,9 +84,14 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy (required for Railway)
 app.set('trust proxy', 1);
 
-// CORS - Allow all origins
+// CORS - Allowlist with credentials
+// Origins in CORS_ORIGINS (comma-separated) are echoed back with credentials allowed, so they
+// can send the session cookie. Other origins get "*", which browsers won't combine with
+// credentials: they can still call the API, just without the cookie.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:8080').split(',').map(origin => origin.trim()).filter(Boolean);
 app.use(cors({
-  origin: '*' // Allow all origins for now (can restrict later)
+  origin: (origin, callback) => callback(null, origin && CORS_ORIGINS.includes(origin) ? origin : '*'),
+  credentials: true
 }));
 
 // Security Middleware - disabled temporarily to fix redirect loop
@@ -64,56 +116,198 @@ const chatLimiter = rateLimit({
   message: 'Too many messages, please slow down.'
 });
 
+// Sign-ups and password reset emails
+const accountLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: 'Too many account requests, please try again later.'
+});
+
+// Reactions are quick toggles, so they get their own, looser budget
+const reactionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: 'Too many reactions, please slow down.'
+});
+
 // Body Parser
-app.use(express.json());
-app.use(express.text({ type: 'text/plain' })); // Support sendBeacon requests
+// Project uploads are raw files of any Content-Type (see rawUpload), so these parsers skip them
+const UPLOAD_ROUTE = /^\/api\/v1\/projects\/[^/]+\/uploads\/?$/;
+const unlessUpload = (parser) => (req, res, next) => (UPLOAD_ROUTE.test(req.path) ? next() : parser(req, res, next));
+app.use(unlessUpload(express.json()));
+app.use(unlessUpload(express.text({ type: 'text/plain' }))); // Support sendBeacon requests
 
 // Serve static files from root directory (for Railway deployment)
-const path = require('path');
 app.use(express.static(path.join(__dirname, '..')));
 
-// Firebase Database URL
-const FIREBASE_DB_URL = process.env.FIREBASE_DATABASE_URL;
-
 // API Routes
 const v1Router = express.Router();
 
-// GET /api/v1/tracks - Get all tracks (without stream URLs)
-v1Router.get('/tracks', async (req, res) => {
-  console.log('📥 GET /api/v1/tracks');
-  try {
-    const response = await fetch(`${FIREBASE_DB_URL}/tracks.json`);
-    const tracks = await response.json();
+// ========================================
+// TRACK CATALOG
+// ========================================
+
+// Public view of a track - remove stream_url for security and strip artist info for anonymous tracks
+function toPublicTrack(id, track) {
+  const { stream_url, ...trackWithoutUrl } = track;
+
+  if (track.isAnon === true) {
+    const { user_id, artistName, artistUsername, ...anonTrack } = trackWithoutUrl;
+    return { id, ...anonTrack };
+  }
+
+  return { id, ...trackWithoutUrl };
+}
 
-    if (!tracks) {
-      console.log('❌ No tracks found');
-      return res.status(404).json({ error: 'No tracks found' });
+// Memoize an async loader for ttlMs
+function cachedLoader(ttlMs, loader) {
+  let cache = null;
+  return async () => {
+    if (cache && Date.now() - cache.loadedAt < ttlMs) {
+      return cache.value;
     }
+    const value = await loader();
+    cache = { value, loadedAt: Date.now() };
+    return value;
+  };
+}
+
+// Cache the full track and user trees briefly so paginated requests don't re-download them per page
+const TRACK_CATALOG_TTL_MS = 30 * 1000;
+
+const getUserDirectory = cachedLoader(TRACK_CATALOG_TTL_MS, async () => await store.users.list() || {});
+
+// All tracks as an array, with artist name/username resolved from the owner's user record
+const getTrackCatalog = cachedLoader(TRACK_CATALOG_TTL_MS, async () => {
+  const [tracks, users] = await Promise.all([store.tracks.list(), getUserDirectory()]);
+  return Object.entries(tracks || {}).map(([id, track]) => {
+    const owner = track.user_id ? users[track.user_id] : null;
+    if (!owner) return { id, ...track };
+    return {
+      id,
+      ...track,
+      artistName: owner.displayName || owner.username || track.artistName,
+      artistUsername: owner.username || track.artistUsername
+    };
+  });
+});
+
+const TRACK_SORT_KEYS = {
+  listens_count: (track) => track.listens_count || 0,
+  created_at: (track) => {
+    const time = typeof track.created_at === 'number' ? track.created_at : Date.parse(track.created_at);
+    return Number.isNaN(time) ? 0 : time;
+  },
+  title: (track) => (track.title || '').toLowerCase()
+};
 
-    // Transform tracks - remove stream_url for security and strip artist info for anonymous tracks
-    const tracksArray = Object.entries(tracks).map(([id, track]) => {
-      const { stream_url, ...trackWithoutUrl } = track;
+// Order by sort key, then id so every track has a unique, stable position for cursors
+function compareTrackPosition(keyA, idA, keyB, idB, direction) {
+  if (keyA < keyB) return -direction;
+  if (keyA > keyB) return direction;
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function encodeTrackCursor(key, id) {
+  return Buffer.from(JSON.stringify({ k: key, id })).toString('base64url');
+}
+
+function decodeTrackCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.id === 'string' ? decoded : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// GET /api/v1/tracks - List tracks (without stream URLs)
+// Query: limit (1-200, default 50), cursor, sort (listens_count|created_at|title),
+//        order (asc|desc), genre, artist (username or uid), isAnon (true|false)
+v1Router.get('/tracks', auth('public'), async (req, res) => {
+  const sort = req.query.sort || 'created_at';
+  const order = req.query.order || (sort === 'title' ? 'asc' : 'desc');
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+  const { cursor, genre, artist, isAnon } = req.query;
+  console.log(`📥 GET /api/v1/tracks (sort: ${sort} ${order}, limit: ${limit}${cursor ? ', cursor' : ''})`);
+
+  if (!TRACK_SORT_KEYS[sort]) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid sort (expected one of: ${Object.keys(TRACK_SORT_KEYS).join(', ')})`
+    });
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order (expected asc or desc)'
+    });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid limit (expected 1-200)'
+    });
+  }
+
+  if (isAnon !== undefined && isAnon !== 'true' && isAnon !== 'false') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid isAnon (expected true or false)'
+    });
+  }
+
+  const after = cursor ? decodeTrackCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid cursor'
+    });
+  }
 
-      // If track is anonymous, remove artist information
-      if (track.isAnon === true) {
-        const { user_id, artistName, artistUsername, ...anonTrack } = trackWithoutUrl;
-        return {
-          id,
-          ...anonTrack
-        };
+  try {
+    const catalog = await getTrackCatalog();
+    const sortKey = TRACK_SORT_KEYS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matching = catalog.filter(track => {
+      if (genre && (track.genre || '').toLowerCase() !== genre.toLowerCase()) return false;
+      if (isAnon !== undefined && (track.isAnon === true) !== (isAnon === 'true')) return false;
+      if (artist) {
+        // Anonymous tracks never match an artist filter, that would reveal who made them
+        if (track.isAnon === true) return false;
+        const needle = artist.toLowerCase();
+        if ((track.artistUsername || '').toLowerCase() !== needle && track.user_id !== artist) return false;
       }
+      return true;
+    });
+
+    const sorted = matching
+      .map(track => ({ track, key: sortKey(track) }))
+      .sort((a, b) => compareTrackPosition(a.key, a.track.id, b.key, b.track.id, direction));
+
+    const remaining = after
+      ? sorted.filter(entry => compareTrackPosition(entry.key, entry.track.id, after.k, after.id, direction) > 0)
+      : sorted;
 
-      return {
-        id,
-        ...trackWithoutUrl
-      };
+    const page = remaining.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = remaining.length > limit ? encodeTrackCursor(last.key, last.track.id) : null;
+
+    const tracksArray = page.map(({ track }) => {
+      const { id, ...data } = track;
+      return toPublicTrack(id, data);
     });
 
-    console.log(`✅ Returned ${tracksArray.length} tracks`);
+    console.log(`✅ Returned ${tracksArray.length} of ${matching.length} tracks`);
     res.json({
       success: true,
       data: tracksArray,
-      count: tracksArray.length
+      count: tracksArray.length,
+      total: matching.length,
+      nextCursor: nextCursor
     });
   } catch (error) {
     console.error('❌ Error fetching tracks:', error);
@@ -125,12 +319,11 @@ v1Router.get('/tracks', async (req, res) => {
 });
 
 // GET /api/v1/tracks/:id - Get single track (without stream URL)
-v1Router.get('/tracks/:id', async (req, res) => {
+v1Router.get('/tracks/:id', auth('public'), async (req, res) => {
   const { id } = req.params;
   console.log(`📥 GET /api/v1/tracks/${id}`);
   try {
-    const response = await fetch(`${FIREBASE_DB_URL}/tracks/${id}.json`);
-    const track = await response.json();
+    const track = await store.tracks.get(id);
 
     if (!track) {
       console.log(`❌ Track ${id} not found`);
@@ -140,16 +333,7 @@ v1Router.get('/tracks/:id', async (req, res) => {
       });
     }
 
-    const { stream_url, ...trackWithoutUrl } = track;
-
-    // If track is anonymous, remove artist information
-    let trackData;
-    if (track.isAnon === true) {
-      const { user_id, artistName, artistUsername, ...anonTrack } = trackWithoutUrl;
-      trackData = { id, ...anonTrack };
-    } else {
-      trackData = { id, ...trackWithoutUrl };
-    }
+    const trackData = toPublicTrack(id, track);
 
     console.log(`✅ Returned track: ${track.title || id}${track.isAnon ? ' (anonymous)' : ''}`);
     res.json({
@@ -165,56 +349,205 @@ v1Router.get('/tracks/:id', async (req, res) => {
   }
 });
 
-// GET /api/v1/users - Get all users
-v1Router.get('/users', async (req, res) => {
-  console.log('📥 GET /api/v1/users');
-  try {
-    const response = await fetch(`${FIREBASE_DB_URL}/users.json`);
-    const users = await response.json();
+// ========================================
+// SEARCH
+// ========================================
+
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  artist: 2,
+  genre: 1.5,
+  project: 1.5,
+  key: 1,
+  bpm: 1,
+  vibe: 1,
+  description: 0.5
+};
+
+// Rebuilt from the track catalog and projects at most every TRACK_CATALOG_TTL_MS
+const getSearchIndex = cachedLoader(TRACK_CATALOG_TTL_MS, async () => {
+  const [catalog, projects] = await Promise.all([
+    getTrackCatalog(),
+    store.projects.list()
+  ]);
+  const index = createSearchIndex(SEARCH_FIELD_WEIGHTS);
+
+  catalog.forEach(({ id, ...track }) => {
+    const fields = {
+      title: track.title,
+      genre: track.genre,
+      description: track.description
+    };
+
+    // Anonymous tracks are never indexed under their artist
+    if (track.isAnon !== true) {
+      fields.artist = [track.artistName, track.artistUsername].filter(Boolean).join(' ');
+    }
 
-    if (!users) {
-      console.log('❌ No users found');
-      return res.status(404).json({ error: 'No users found' });
+    // Tracks published from a DEEPWAVES project carry its latest version's metadata
+    const project = track.project_id ? projects?.[track.project_id] : null;
+    const latest = Array.isArray(project?.versions) ? project.versions[project.versions.length - 1] : null;
+    if (latest?.metadata) {
+      fields.bpm = latest.metadata.bpm;
+      fields.key = latest.metadata.key;
+      fields.vibe = latest.metadata.vibe;
     }
 
-    const userCount = Object.keys(users).length;
-    console.log(`✅ Returned ${userCount} users`);
+    index.add({
+      id,
+      type: 'track',
+      fields,
+      popularity: track.listens_count || 0,
+      item: toPublicTrack(id, track)
+    });
+  });
+
+  Object.entries(projects || {}).forEach(([projectId, project]) => {
+    // Owner and collaborators
+    const memberUids = [project.owner_uid, ...Object.keys(project.collaborators || {})]
+      .filter(memberUid => projectRoleOf(project, memberUid));
+
+    (project.versions || []).forEach((version, versionIndex) => {
+      if (!version.files?.preview_track) return;
+      const file = toVersionFile(projectId, project, version, versionIndex);
+      index.add({
+        id: file.id,
+        type: 'file',
+        fields: {
+          title: file.name,
+          project: project.name,
+          description: version.commit_message,
+          genre: version.metadata?.genre,
+          bpm: version.metadata?.bpm,
+          key: version.metadata?.key,
+          vibe: version.metadata?.vibe
+        },
+        memberUids,
+        projectId,
+        version,
+        item: file
+      });
+    });
+  });
+
+  console.log(`🔎 Search index built: ${index.size} documents`);
+  return index;
+});
+
+// GET /api/v1/search?q= - Ranked track and DEEPWAVES version search
+// Query: q, type (track|file, default both), limit (1-50, default 20), projectId
+// File results only include projects the signed-in user owns or collaborates on
+v1Router.get('/search', auth('optional'), async (req, res) => {
+  const q = (req.query.q || '').trim();
+  const { type, projectId } = req.query;
+  const uid = req.user?.uid;
+  const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit);
+  console.log(`🔎 GET /api/v1/search?q=${q}${type ? ` type=${type}` : ''}`);
+
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      error: 'Search query (q) is required'
+    });
+  }
+
+  if (type !== undefined && type !== 'track' && type !== 'file') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid type (expected track or file)'
+    });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid limit (expected 1-50)'
+    });
+  }
+
+  try {
+    const index = await getSearchIndex();
+    const results = index.search(q, {
+      limit,
+      filter: (doc) => {
+        if (type && doc.type !== type) return false;
+        if (doc.type === 'file') {
+          if (!uid || !doc.memberUids.includes(uid)) return false;
+          if (projectId && doc.projectId !== projectId) return false;
+        }
+        return true;
+      }
+    });
+
+    console.log(`✅ Search "${q}" returned ${results.length} results`);
     res.json({
       success: true,
-      data: users
+      data: results.map(({ doc, score }) => ({
+        type: doc.type,
+        score: Math.round(score * 100) / 100,
+        // File links are signed for the user asking
+        item: doc.type === 'file' ? { ...doc.item, ...versionFileLinks(doc.projectId, doc.version, uid) } : doc.item
+      })),
+      count: results.length
     });
   } catch (error) {
-    console.error('❌ Error fetching users:', error);
+    console.error('❌ Error searching:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch users'
+      error: 'Search failed'
     });
   }
 });
 
-// GET /api/v1/users/:uid - Get single user by UID
-v1Router.get('/users/:uid', async (req, res) => {
-  const { uid } = req.params;
-  console.log(`📥 GET /api/v1/users/${uid}`);
+// ========================================
+// USER PROFILES
+// ========================================
+
+// Fields of a user record anyone may see; everything else stays private to the owner
+const PUBLIC_USER_FIELDS = ['username', 'displayName', 'photoURL', 'bio'];
+
+// Registration, password resets and profile edits (see accounts.js)
+const accounts = createAccounts(store);
+
+// Public profile: whitelisted fields, non-anonymous tracks and OMs leaderboard rank
+function toPublicProfile(uid, user, catalog, users) {
+  const profile = { uid };
+  PUBLIC_USER_FIELDS.forEach(field => {
+    profile[field] = user[field] ?? null;
+  });
+
+  profile.tracks = catalog
+    .filter(track => track.user_id === uid && track.isAnon !== true)
+    .map(({ id, ...track }) => toPublicTrack(id, track));
+
+  const oms = user.oms || 0;
+  profile.omsRank = 1 + Object.values(users).filter(other => (other.oms || 0) > oms).length;
+
+  return profile;
+}
+
+// GET /api/v1/users/me - Full record of the signed-in user
+v1Router.get('/users/me', auth('required'), async (req, res) => {
+  const { uid } = req.user;
+  console.log('📥 GET /api/v1/users/me');
+
   try {
-    const response = await fetch(`${FIREBASE_DB_URL}/users/${uid}.json`);
-    const user = await response.json();
+    const user = await store.users.get(uid);
 
     if (!user) {
-      console.log(`❌ User ${uid} not found`);
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
 
-    console.log(`✅ Returned user: ${user.username || user.displayName || uid}`);
+    console.log(`✅ Returned own profile: ${user.username || uid}`);
     res.json({
       success: true,
-      data: user
+      data: { uid, ...user, role: await moderation.roleOf(req.user) }
     });
   } catch (error) {
-    console.error('❌ Error fetching user:', error);
+    console.error('❌ Error fetching own profile:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch user'
@@ -222,250 +555,414 @@ v1Router.get('/users/:uid', async (req, res) => {
   }
 });
 
-// GET /api/v1/stream/:id - Proxy stream for a track (secure)
-v1Router.get('/stream/:id', async (req, res) => {
-  const { id } = req.params;
-  console.log(`🎵 GET /api/v1/stream/${id}`);
+// PATCH /api/v1/users/me - Edit own profile (username, displayName, photoURL, bio)
+v1Router.patch('/users/me', auth('required'), async (req, res) => {
+  const { uid } = req.user;
+  console.log('✏️ PATCH /api/v1/users/me');
+
   try {
-    const response = await fetch(`${FIREBASE_DB_URL}/tracks/${id}.json`);
-    const track = await response.json();
+    const result = await accounts.updateProfile(uid, req.body);
 
-    if (!track || !track.stream_url) {
-      console.log(`❌ Stream for track ${id} not found`);
-      return res.status(404).json({
+    if (!result.ok) {
+      return res.status(result.status).json({
         success: false,
-        error: 'Track or stream not found'
+        error: result.error
       });
     }
 
-    console.log(`✅ Redirecting to stream for: ${track.title || id}`);
-    // Redirect to the actual stream URL
-    // The URL is never exposed to the client
-    res.redirect(track.stream_url);
+    console.log(`✅ Updated profile: ${result.user.username || uid}`);
+    res.json({
+      success: true,
+      data: { uid, ...result.user, role: await moderation.roleOf(req.user) }
+    });
   } catch (error) {
-    console.error('❌ Error streaming track:', error);
+    console.error('❌ Error updating profile:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to stream track'
+      error: 'Failed to update profile'
     });
   }
 });
 
-// ========================================
-// CHAT ENDPOINTS
-// ========================================
+// GET /api/v1/users/:uid - Public profile of a user
+v1Router.get('/users/:uid', auth('public'), async (req, res) => {
+  const { uid } = req.params;
+  console.log(`📥 GET /api/v1/users/${uid}`);
+  try {
+    const [user, catalog, users] = await Promise.all([
+      store.users.get(uid),
+      getTrackCatalog(),
+      getUserDirectory()
+    ]);
 
-// POST /api/v1/chat/messages - Send a chat message
-v1Router.post('/chat/messages', chatLimiter, async (req, res) => {
-  const { text, idToken } = req.body;
-  console.log('💬 POST /api/v1/chat/messages');
+    if (!user) {
+      console.log(`❌ User ${uid} not found`);
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
 
-  if (!text || !idToken) {
-    return res.status(400).json({
-      success: false,
-      error: 'Message text and auth token required'
+    console.log(`✅ Returned public profile: ${user.username || user.displayName || uid}`);
+    res.json({
+      success: true,
+      data: toPublicProfile(uid, user, catalog, users)
     });
-  }
-
-  // Validate message length
-  if (text.length > 500) {
-    return res.status(400).json({
+  } catch (error) {
+    console.error('❌ Error fetching user:', error);
+    res.status(500).json({
       success: false,
-      error: 'Message too long (max 500 characters)'
+      error: 'Failed to fetch user'
     });
   }
+});
 
-  try {
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const uid = decodedToken.uid;
+// ========================================
+// STREAMING
+// ========================================
 
-    // Get user data
-    const userResponse = await fetch(`${FIREBASE_DB_URL}/users/${uid}.json`);
-    const userData = await userResponse.json();
+// Stream URLs carry a short-lived HMAC token, so links expire and the upstream
+// stream_url never leaves the server (set STREAM_TOKEN_SECRET when running several instances)
+const STREAM_TOKEN_TTL_SECONDS = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS) || 10 * 60;
+const streamSigner = createSigner(process.env.STREAM_TOKEN_SECRET);
 
-    if (!userData) {
+// Upstream response headers relayed to the client
+const STREAM_FORWARD_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// GET /api/v1/stream/:id/url - Issue a signed, expiring stream URL for a track
+v1Router.get('/stream/:id/url', auth('public'), async (req, res) => {
+  const { id } = req.params;
+  console.log(`🎟️ GET /api/v1/stream/${id}/url`);
+  try {
+    const track = await store.tracks.get(id);
+
+    if (!track || !track.stream_url) {
+      console.log(`❌ Stream for track ${id} not found`);
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: 'Track or stream not found'
       });
     }
 
-    // Create message document
-    const messageData = {
-      text: text.trim(),
-      username: userData.username || userData.displayName || 'Anonymous',
-      uid: uid,
-      photoURL: userData.photoURL || null,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      createdAt: Date.now()
-    };
-
-    const docRef = await db.collection('messages').add(messageData);
-
-    console.log(`✅ Message sent by ${messageData.username}`);
+    const token = streamSigner.sign({ t: id }, STREAM_TOKEN_TTL_SECONDS);
     res.json({
       success: true,
       data: {
-        id: docRef.id,
-        ...messageData,
-        timestamp: Date.now()
+        url: `/api/v1/stream/${encodeURIComponent(id)}?token=${token}`,
+        expiresAt: Date.now() + STREAM_TOKEN_TTL_SECONDS * 1000
       }
     });
   } catch (error) {
-    console.error('❌ Error sending message:', error);
+    console.error('❌ Error issuing stream URL:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to send message'
+      error: 'Failed to issue stream URL'
     });
   }
 });
 
-// DELETE /api/v1/chat/messages/:id - Delete a message
-v1Router.delete('/chat/messages/:id', async (req, res) => {
+// GET /api/v1/stream/:id?token= - Proxy the audio bytes for a track (supports Range requests)
+v1Router.get('/stream/:id', auth('public'), async (req, res) => {
   const { id } = req.params;
-  const authHeader = req.headers.authorization;
-  console.log(`🗑️ DELETE /api/v1/chat/messages/${id}`);
+  console.log(`🎵 GET /api/v1/stream/${id}${req.headers.range ? ` (${req.headers.range})` : ''}`);
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
+  const grant = streamSigner.verify(req.query.token);
+  if (!grant || grant.t !== id) {
+    console.log(`🚫 Rejected stream request for ${id}: invalid or expired token`);
+    return res.status(403).json({
       success: false,
-      error: 'No token provided'
+      error: 'Stream link is invalid or has expired'
     });
   }
 
-  const idToken = authHeader.split('Bearer ')[1];
-
   try {
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const uid = decodedToken.uid;
+    const track = await store.tracks.get(id);
 
-    // Get the message to verify ownership
-    const messageDoc = await db.collection('messages').doc(id).get();
-
-    if (!messageDoc.exists) {
+    if (!track || !track.stream_url) {
+      console.log(`❌ Stream for track ${id} not found`);
       return res.status(404).json({
         success: false,
-        error: 'Message not found'
+        error: 'Track or stream not found'
       });
     }
 
-    const messageData = messageDoc.data();
+    res.set('Cache-Control', 'private, no-store');
 
-    // Verify the user owns this message
-    if (messageData.uid !== uid) {
-      return res.status(403).json({
+    // Local files (offline store seeds) are served from the project root; send handles Range itself
+    if (track.stream_url.startsWith('/')) {
+      return res.sendFile(track.stream_url, { root: path.join(__dirname, '..') });
+    }
+
+    // Abort the upstream download if the listener goes away
+    const controller = new AbortController();
+    req.on('close', () => controller.abort());
+
+    const upstream = await fetch(track.stream_url, {
+      headers: req.headers.range ? { Range: req.headers.range } : {},
+      signal: controller.signal
+    });
+
+    if (!upstream.ok) {
+      console.log(`❌ Upstream stream for ${id} returned ${upstream.status}`);
+      return res.status(upstream.status === 416 ? 416 : 502).json({
         success: false,
-        error: 'You can only delete your own messages'
+        error: upstream.status === 416 ? 'Requested range not satisfiable' : 'Stream unavailable'
       });
     }
 
-    // Delete the message
-    await db.collection('messages').doc(id).delete();
+    res.status(upstream.status);
+    STREAM_FORWARD_HEADERS.forEach(header => {
+      const value = upstream.headers.get(header);
+      if (value) res.set(header, value);
+    });
 
-    console.log(`✅ Message ${id} deleted by ${uid}`);
-    res.json({
-      success: true,
-      message: 'Message deleted'
+    console.log(`✅ Streaming ${track.title || id} (${upstream.status})`);
+    upstream.body.on('error', (error) => {
+      if (error.name !== 'AbortError') console.error('❌ Stream relay error:', error.message);
+      res.destroy();
     });
+    upstream.body.pipe(res);
   } catch (error) {
-    console.error('❌ Error deleting message:', error);
+    if (error.name === 'AbortError') return;
+    console.error('❌ Error streaming track:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete message'
+      error: 'Failed to stream track'
     });
   }
 });
 
-// GET /api/v1/chat/messages - Get recent chat messages
-v1Router.get('/chat/messages', async (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const before = req.query.before ? parseInt(req.query.before) : null;
-  console.log(`💬 GET /api/v1/chat/messages (limit: ${limit})`);
+// ========================================
+// AUDIO ANALYSIS
+// ========================================
 
-  try {
-    let query = db.collection('messages')
-      .orderBy('createdAt', 'desc')
-      .limit(limit);
+// Loudness, tempo and full-track waveforms, decoded once per track or preview (see analysis.js)
+const ANALYSIS_SWEEP_INTERVAL_MINUTES = parseInt(process.env.ANALYSIS_SWEEP_INTERVAL_MINUTES) || 60;
+const audioAnalysis = createAudioAnalysis(store, {
+  uploadDir: store.files.directory,
+  buildDir: path.join(__dirname, '..', 'build'),
+  maxBytes: (parseInt(process.env.ANALYSIS_MAX_MB) || 100) * 1024 * 1024,
+  ffmpegPath: process.env.FFMPEG_PATH
+});
 
-    if (before) {
-      query = query.where('createdAt', '<', before);
-    }
+// 200 with the analysis, or 202 { status: 'pending' } while it's queued
+function sendAnalysis(res, analysis) {
+  res.status(analysis.status === 'pending' ? 202 : 200).json({
+    success: true,
+    data: analysis
+  });
+}
 
-    const snapshot = await query.get();
-    const messages = [];
+// GET /api/v1/tracks/:id/analysis - Integrated LUFS, peak, BPM estimate and multi-band waveform
+v1Router.get('/tracks/:id/analysis', auth('public'), async (req, res) => {
+  const { id } = req.params;
+  console.log(`🎚️ GET /api/v1/tracks/${id}/analysis`);
+  try {
+    const track = await store.tracks.get(id);
 
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      messages.push({
-        id: doc.id,
-        ...data
+    if (!track || !track.stream_url) {
+      console.log(`❌ Track ${id} not found`);
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found'
       });
-    });
-
-    console.log(`✅ Returned ${messages.length} messages`);
-    console.log('📊 Sample message data:', messages.length > 0 ? messages[0] : 'No messages');
-
-    res.json({
-      success: true,
-      data: messages.reverse() // Oldest first for display
-    });
-  } catch (error) {
-    console.error('❌ Error fetching messages:', error);
-    console.error('❌ Error details:', error.message);
-
-    // If Firestore index is missing, return helpful error
-    if (error.message && error.message.includes('index')) {
-      console.error('⚠️ Firestore index required! Create an index for "messages" collection on "createdAt" field');
-      console.error('🔗 Index URL:', error.message.match(/https:\/\/[^\s]+/)?.[0]);
     }
 
+    sendAnalysis(res, await audioAnalysis.forTrack(id, track.stream_url));
+  } catch (error) {
+    console.error('❌ Error fetching track analysis:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch messages',
-      details: error.message
+      error: 'Failed to fetch track analysis'
     });
   }
 });
 
-// POST /api/v1/chat/presence - Update user presence (online status)
-v1Router.post('/chat/presence', async (req, res) => {
-  // Handle both JSON and sendBeacon (text/plain) requests
-  let idToken, status;
+// Queue every track that has no up-to-date analysis yet
+async function runAnalysisSweep() {
+  const catalog = await getTrackCatalog();
+  const tracks = catalog.filter(track => track.stream_url);
+  for (const track of tracks) {
+    await audioAnalysis.forTrack(track.id, track.stream_url);
+  }
+  console.log(`🎚️ Analysis sweep: ${tracks.length} tracks checked, ${audioAnalysis.pending()} queued`);
+}
 
-  if (typeof req.body === 'string') {
-    // sendBeacon sends as text/plain
-    try {
-      const parsed = JSON.parse(req.body);
-      idToken = parsed.idToken;
-      status = parsed.status;
-    } catch (e) {
-      return res.status(400).json({ success: false, error: 'Invalid request format' });
-    }
-  } else {
-    // Normal JSON request
-    idToken = req.body.idToken;
-    status = req.body.status;
+function scheduledAnalysisSweep() {
+  runAnalysisSweep().catch(error => {
+    console.error('❌ Scheduled analysis sweep failed:', error.message);
+  });
+}
+
+// Periodic analysis sweep job, plus one shortly after startup
+setTimeout(scheduledAnalysisSweep, 30 * 1000).unref();
+setInterval(scheduledAnalysisSweep, ANALYSIS_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// ========================================
+// CHAT ENDPOINTS
+// ========================================
+
+// Pushes chat events to clients subscribed over the WebSocket server (see chat.js)
+const chatHub = createChatHub(store);
+
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+const REPLY_SNIPPET_LENGTH = 140;
+const MAX_MENTIONS_PER_MESSAGE = 10;
+const MAX_REACTION_KINDS = 20;
+
+// @username, not preceded by a word character (so emails don't count)
+const MENTION_PATTERN = /(?<![\w@])@([A-Za-z0-9_.-]{2,32})/g;
+// One emoji, including skin tones, ZWJ sequences and flags
+const EMOJI_PATTERN = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f\u20e3]{1,16}$/u;
+
+// Reactions are stored as { emoji: { uid: true } } and served as { emoji: [uid] }
+function toReactionList(reactions) {
+  const list = {};
+  Object.entries(reactions || {}).forEach(([emoji, uids]) => {
+    const reactors = Object.keys(uids || {});
+    if (reactors.length > 0) list[emoji] = reactors;
+  });
+  return list;
+}
+
+function toChatMessage(message) {
+  return { ...message, reactions: toReactionList(message.reactions) };
+}
+
+// 403 body for a muted or banned user
+function sanctionError(sanction) {
+  const until = sanction.until ? ` until ${new Date(sanction.until).toISOString()}` : '';
+  return {
+    success: false,
+    error: sanction.type === 'ban' ? `You are banned from chat${until}` : `You are muted${until}`,
+    until: sanction.until || null
+  };
+}
+
+function validateMessageText(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return 'Message text required';
+  }
+  if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+    return `Message too long (max ${MAX_CHAT_MESSAGE_LENGTH} characters)`;
+  }
+  return null;
+}
+
+// Plain-text stand-in for a message in reply quotes and notifications
+function messagePreview(message) {
+  const text = message.text || (message.track ? `🎵 ${message.track.title}` : '');
+  return text.slice(0, REPLY_SNIPPET_LENGTH);
+}
+
+// Card for a track shared in chat; anonymous tracks keep their artist hidden
+function toSharedTrack(track) {
+  const { id, title, genre, artwork_url, artistName, artistUsername } = toPublicTrack(track.id, track);
+  return {
+    id,
+    title: title || 'Untitled',
+    genre: genre || null,
+    artwork_url: artwork_url || null,
+    artistName: artistName || null,
+    artistUsername: artistUsername || null,
+    isAnon: track.isAnon === true
+  };
+}
+
+// Uids of the users @mentioned in text, excluding the author
+async function resolveMentions(text, authorUid) {
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    names.add(match[1].replace(/[.-]+$/, '').toLowerCase());
+  }
+  if (names.size === 0) return [];
+
+  const users = await getUserDirectory();
+  const uids = Object.entries(users)
+    .filter(([uid, user]) => uid !== authorUid && user.username && names.has(user.username.toLowerCase()))
+    .map(([uid]) => uid);
+  return uids.slice(0, MAX_MENTIONS_PER_MESSAGE);
+}
+
+// Store a mention notification for each user and push it to them if they're online
+async function notifyMentions(message, uids) {
+  await Promise.all(uids.map(async (mentionedUid) => {
+    const notification = {
+      type: 'mention',
+      messageId: message.id,
+      fromUid: message.uid,
+      fromUsername: message.username,
+      text: messagePreview(message),
+      createdAt: Date.now(),
+      read: false
+    };
+    notification.id = await store.notifications.add(mentionedUid, notification);
+    chatHub.publishMention(mentionedUid, notification);
+  }));
+  if (uids.length > 0) {
+    console.log(`📣 ${message.username} mentioned ${uids.length} user(s)`);
+  }
+}
+
+// POST /api/v1/chat/messages - Send a chat message, optionally as a reply or sharing a track
+v1Router.post('/chat/messages', chatLimiter, auth('required'), async (req, res) => {
+  const { text, replyTo, trackId } = req.body;
+  const { uid } = req.user;
+  console.log('💬 POST /api/v1/chat/messages');
+
+  if (trackId !== undefined && trackId !== null && typeof trackId !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'trackId must be a track id'
+    });
   }
 
-  console.log('👤 POST /api/v1/chat/presence -', status || 'online');
+  // A shared track can go out without a comment
+  const hasText = text !== undefined && text !== null && text !== '';
+  const textError = hasText || !trackId ? validateMessageText(text) : null;
+  if (textError) {
+    return res.status(400).json({
+      success: false,
+      error: textError
+    });
+  }
 
-  if (!idToken) {
+  if (replyTo !== undefined && replyTo !== null && typeof replyTo !== 'string') {
     return res.status(400).json({
       success: false,
-      error: 'Auth token required'
+      error: 'replyTo must be a message id'
     });
   }
 
   try {
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const uid = decodedToken.uid;
+    const sanction = await moderation.activeSanction(uid);
+    if (sanction) {
+      console.log(`🔇 Blocked message from sanctioned user ${uid} (${sanction.type})`);
+      return res.status(403).json(sanctionError(sanction));
+    }
+
+    const filtered = hasText ? await moderation.filterMessage(text.trim()) : { ok: true, text: '' };
+    if (!filtered.ok) {
+      return res.status(400).json({
+        success: false,
+        error: filtered.error
+      });
+    }
+
+    // Shared tracks must exist in the public catalog
+    let track = null;
+    if (trackId) {
+      track = (await getTrackCatalog()).find(entry => entry.id === trackId);
+      if (!track) {
+        return res.status(404).json({
+          success: false,
+          error: 'Track not found'
+        });
+      }
+    }
 
     // Get user data
-    const userResponse = await fetch(`${FIREBASE_DB_URL}/users/${uid}.json`);
-    const userData = await userResponse.json();
+    const userData = await store.users.get(uid);
 
     if (!userData) {
       return res.status(404).json({
@@ -474,581 +971,2395 @@ v1Router.post('/chat/presence', async (req, res) => {
       });
     }
 
-    // Update presence in Realtime Database (better for presence)
-    const presenceData = {
+    let parent = null;
+    if (replyTo) {
+      parent = await store.messages.get(replyTo);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message being replied to not found'
+        });
+      }
+    }
+
+    // Create message document
+    const messageData = {
+      text: filtered.text,
       username: userData.username || userData.displayName || 'Anonymous',
       uid: uid,
       photoURL: userData.photoURL || null,
-      status: status || 'online',
-      lastSeen: Date.now()
+      replyTo: parent ? {
+        id: parent.id,
+        uid: parent.uid,
+        username: parent.username,
+        text: messagePreview(parent)
+      } : null,
+      track: track ? toSharedTrack(track) : null,
+      mentions: await resolveMentions(filtered.text, uid),
+      edited: false,
+      createdAt: Date.now()
     };
 
-    await realtimeDb.ref(`presence/${uid}`).set(presenceData);
+    const messageId = await store.messages.add(messageData);
+    const message = toChatMessage({ id: messageId, ...messageData });
+    chatHub.publishMessage(message);
+    await notifyMentions(message, messageData.mentions);
 
-    // Set up disconnect handler to mark offline
-    await realtimeDb.ref(`presence/${uid}`).onDisconnect().update({
-      status: 'offline',
-      lastSeen: Date.now()
-    });
-
-    console.log(`✅ Presence updated for ${presenceData.username}`);
+    console.log(`✅ Message sent by ${messageData.username}`);
     res.json({
       success: true,
-      data: presenceData
+      data: {
+        ...message,
+        timestamp: Date.now()
+      }
     });
   } catch (error) {
-    console.error('❌ Error updating presence:', error);
+    console.error('❌ Error sending message:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update presence'
+      error: 'Failed to send message'
     });
   }
 });
 
-// GET /api/v1/chat/presence - Get online users
-v1Router.get('/chat/presence', async (req, res) => {
-  console.log('👥 GET /api/v1/chat/presence');
+// PATCH /api/v1/chat/messages/:id - Edit your own message
+v1Router.patch('/chat/messages/:id', chatLimiter, auth('required'), async (req, res) => {
+  const { id } = req.params;
+  const { text } = req.body || {};
+  const { uid } = req.user;
+  console.log(`✏️ PATCH /api/v1/chat/messages/${id}`);
+
+  const textError = validateMessageText(text);
+  if (textError) {
+    return res.status(400).json({
+      success: false,
+      error: textError
+    });
+  }
 
   try {
-    const snapshot = await realtimeDb.ref('presence').once('value');
-    const presence = snapshot.val() || {};
+    const messageData = await store.messages.get(id);
 
-    // Filter online users (last seen within 10 seconds for fast polling)
-    const now = Date.now();
-    const onlineUsers = Object.entries(presence)
-      .filter(([uid, data]) => {
-        return data.status === 'online' && (now - data.lastSeen) < 10000;
-      })
-      .map(([uid, data]) => data);
+    if (!messageData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    if (messageData.uid !== uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own messages'
+      });
+    }
+
+    const sanction = await moderation.activeSanction(uid);
+    if (sanction) {
+      return res.status(403).json(sanctionError(sanction));
+    }
+
+    const filtered = await moderation.filterMessage(text.trim());
+    if (!filtered.ok) {
+      return res.status(400).json({
+        success: false,
+        error: filtered.error
+      });
+    }
+
+    // Only users who weren't already mentioned get notified
+    const mentions = await resolveMentions(filtered.text, uid);
+    const previous = new Set(messageData.mentions || []);
+
+    const patch = {
+      text: filtered.text,
+      mentions,
+      edited: true,
+      editedAt: Date.now()
+    };
+    await store.messages.update(id, patch);
+
+    const message = toChatMessage({ ...messageData, ...patch });
+    chatHub.publishUpdate(message);
+    await notifyMentions(message, mentions.filter(mentionedUid => !previous.has(mentionedUid)));
 
-    console.log(`✅ Returned ${onlineUsers.length} online users`);
+    console.log(`✅ Message ${id} edited by ${uid}`);
     res.json({
       success: true,
-      data: onlineUsers
+      data: message
     });
   } catch (error) {
-    console.error('❌ Error fetching presence:', error);
+    console.error('❌ Error editing message:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch presence'
+      error: 'Failed to edit message'
     });
   }
 });
 
-// POST /api/v1/auth/login - Firebase Authentication Login
-v1Router.post('/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-  console.log(`🔐 POST /api/v1/auth/login - ${email}`);
+// DELETE /api/v1/chat/messages/:id - Delete a message
+v1Router.delete('/chat/messages/:id', auth('required'), async (req, res) => {
+  const { id } = req.params;
+  const { uid } = req.user;
+  console.log(`🗑️ DELETE /api/v1/chat/messages/${id}`);
 
-  if (!email || !password) {
-    return res.status(400).json({
+  try {
+    // Get the message to verify ownership
+    const messageData = await store.messages.get(id);
+
+    if (!messageData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    // Owners can delete their own messages, moderators anyone's
+    const isOwner = messageData.uid === uid;
+    if (!isOwner && !await moderation.isModerator(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own messages'
+      });
+    }
+
+    // Delete the message
+    await store.messages.remove(id);
+    chatHub.publishDeletion(id);
+
+    if (!isOwner) {
+      await moderation.log('delete_message', req.user, {
+        messageId: id,
+        targetUid: messageData.uid,
+        text: messageData.text
+      });
+      await resolveMessageReports(id, req.user, 'actioned');
+    }
+
+    console.log(`✅ Message ${id} deleted by ${uid}`);
+    res.json({
+      success: true,
+      message: 'Message deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting message:', error);
+    res.status(500).json({
       success: false,
-      error: 'Email and password are required'
+      error: 'Failed to delete message'
     });
   }
+});
+
+// GET /api/v1/chat/messages - Get recent chat messages
+v1Router.get('/chat/messages', auth('public'), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const before = req.query.before ? parseInt(req.query.before) : null;
+  console.log(`💬 GET /api/v1/chat/messages (limit: ${limit})`);
 
   try {
-    // Firebase Auth REST API for sign in
-    const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
-    const authUrl = `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${FIREBASE_API_KEY}`;
+    const messages = await store.messages.list({ limit, before });
 
-    const response = await fetch(authUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        email,
-        password,
-        returnSecureToken: true
-      })
-    });
+    console.log(`✅ Returned ${messages.length} messages`);
+    console.log('📊 Sample message data:', messages.length > 0 ? messages[0] : 'No messages');
 
-    const data = await response.json();
+    res.json({
+      success: true,
+      data: messages.reverse().map(toChatMessage) // Oldest first for display
+    });
+  } catch (error) {
+    console.error('❌ Error fetching messages:', error);
+    console.error('❌ Error details:', error.message);
 
-    if (!response.ok) {
-      console.log(`❌ Login failed for ${email}: ${data.error.message}`);
-      return res.status(401).json({
-        success: false,
-        error: data.error.message || 'Invalid credentials'
-      });
+    // If Firestore index is missing, return helpful error
+    if (error.message && error.message.includes('index')) {
+      console.error('⚠️ Firestore index required! Create an index for "messages" collection on "createdAt" field');
+      console.error('🔗 Index URL:', error.message.match(/https:\/\/[^\s]+/)?.[0]);
     }
 
-    // Get user data from database
-    const userResponse = await fetch(`${FIREBASE_DB_URL}/users/${data.localId}.json`);
-    let userData = await userResponse.json();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch messages',
+      details: error.message
+    });
+  }
+});
 
-    console.log(`📊 User data for ${data.localId}:`, userData);
+// GET /api/v1/chat/messages/:id/replies - A message and its direct replies
+v1Router.get('/chat/messages/:id/replies', auth('public'), async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 200);
+  console.log(`🧵 GET /api/v1/chat/messages/${id}/replies`);
 
-    // Initialize oms field if it doesn't exist
-    if (userData) {
-      if (typeof userData.oms === 'undefined') {
-        console.log(`🎮 Initializing oms for user: ${data.localId}`);
-        userData.oms = 0;
-        // Update user in database
-        const updateResponse = await fetch(`${FIREBASE_DB_URL}/users/${data.localId}.json`, {
-          method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ oms: 0 })
-        });
-        const updateResult = await updateResponse.json();
-        console.log(`✅ oms initialized in Firebase:`, updateResult);
-      } else {
-        console.log(`✅ User already has oms: ${userData.oms}`);
-      }
-    } else {
-      console.log(`⚠️ No user data found for ${data.localId}, creating minimal user object`);
-      userData = { oms: 0 };
-      const createResponse = await fetch(`${FIREBASE_DB_URL}/users/${data.localId}.json`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ oms: 0 })
+  try {
+    const messageData = await store.messages.get(id);
+
+    if (!messageData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
       });
-      const createResult = await createResponse.json();
-      console.log(`✅ Created user with oms:`, createResult);
     }
 
-    console.log(`✅ User logged in: ${email}`);
+    const replies = await store.messages.listReplies(id, { limit });
+
     res.json({
       success: true,
       data: {
-        idToken: data.idToken,
-        refreshToken: data.refreshToken,
-        expiresIn: data.expiresIn,
-        localId: data.localId,
-        email: data.email,
-        user: userData || {}
-      }
+        message: toChatMessage(messageData),
+        replies: replies.map(toChatMessage)
+      },
+      count: replies.length
     });
   } catch (error) {
-    console.error('❌ Error during login:', error);
+    console.error('❌ Error fetching replies:', error);
     res.status(500).json({
       success: false,
-      error: 'Authentication failed'
+      error: 'Failed to fetch replies'
     });
   }
 });
 
-// POST /api/v1/auth/refresh - Refresh ID Token
-v1Router.post('/auth/refresh', async (req, res) => {
-  const { refreshToken } = req.body;
-  console.log(`🔄 POST /api/v1/auth/refresh`);
+// PUT/DELETE /api/v1/chat/messages/:id/reactions/:emoji - Add or remove your reaction
+async function setReaction(req, res, add) {
+  const { id, emoji } = req.params;
+  const { uid } = req.user;
+  console.log(`${add ? '➕' : '➖'} ${req.method} /api/v1/chat/messages/${id}/reactions`);
 
-  if (!refreshToken) {
+  if (!EMOJI_PATTERN.test(emoji)) {
     return res.status(400).json({
       success: false,
-      error: 'Refresh token is required'
+      error: 'Reaction must be a single emoji'
     });
   }
 
   try {
-    const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
-    const refreshUrl = `https://securetoken.googleapis.com/v1/token?key=${FIREBASE_API_KEY}`;
+    const messageData = await store.messages.get(id);
 
-    const response = await fetch(refreshUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken
-      })
-    });
+    if (!messageData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
 
-    const data = await response.json();
+    if (add) {
+      const sanction = await moderation.activeSanction(uid);
+      if (sanction) {
+        return res.status(403).json(sanctionError(sanction));
+      }
+    }
 
-    if (!response.ok) {
-      console.log(`❌ Token refresh failed`);
-      return res.status(401).json({
+    // The store checks the kinds limit together with the write; null means no room for another
+    const stored = await store.messages.react(id, emoji, uid, add, MAX_REACTION_KINDS);
+    if (!stored) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid refresh token'
+        error: `A message can have at most ${MAX_REACTION_KINDS} different reactions`
       });
     }
 
-    console.log(`✅ Token refreshed`);
+    const reactions = toReactionList(stored);
+    chatHub.publishReactions(id, reactions);
+
     res.json({
       success: true,
-      data: {
-        idToken: data.id_token,
-        refreshToken: data.refresh_token,
-        expiresIn: data.expires_in
-      }
+      data: { id, reactions }
     });
   } catch (error) {
-    console.error('❌ Error refreshing token:', error);
+    console.error('❌ Error updating reaction:', error);
     res.status(500).json({
       success: false,
-      error: 'Token refresh failed'
+      error: 'Failed to update reaction'
     });
   }
-});
+}
 
-// ========================================
-// DEEPWAVES FILE SYSTEM ENDPOINTS
-// ========================================
+v1Router.put('/chat/messages/:id/reactions/:emoji', reactionLimiter, auth('required'), (req, res) => setReaction(req, res, true));
+v1Router.delete('/chat/messages/:id/reactions/:emoji', reactionLimiter, auth('required'), (req, res) => setReaction(req, res, false));
 
-// GET /api/v1/files - Get root projects or specific project versions
-v1Router.get('/files', async (req, res) => {
-  const { projectId, uid } = req.query;
-  console.log(`📁 GET /api/v1/files${projectId ? `?projectId=${projectId}` : ' (root)'}${uid ? ` uid=${uid}` : ''}`);
+// GET /api/v1/chat/mentions - Your mention notifications, newest first
+v1Router.get('/chat/mentions', auth('required'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const before = req.query.before ? parseInt(req.query.before) : null;
+  const unreadOnly = req.query.unread === 'true';
+  console.log(`📣 GET /api/v1/chat/mentions (limit: ${limit})`);
 
   try {
-    // If no projectId, return root level (all projects as folders)
-    if (!projectId) {
-      const response = await fetch(`${FIREBASE_DB_URL}/projects.json`);
-      const projects = await response.json();
+    let notifications = await store.notifications.list(req.user.uid, { limit, before });
+    const nextBefore = notifications.length === limit ? notifications[notifications.length - 1].createdAt : null;
+    if (unreadOnly) {
+      notifications = notifications.filter(notification => !notification.read);
+    }
 
-      if (!projects) {
-        return res.json({
-          success: true,
-          data: {
-            path: ['C:', 'DEEPWAVES'],
-            folders: [],
-            files: []
-          }
-        });
-      }
+    res.json({
+      success: true,
+      data: notifications,
+      count: notifications.length,
+      nextBefore
+    });
+  } catch (error) {
+    console.error('❌ Error fetching mentions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mentions'
+    });
+  }
+});
 
-      // Filter projects by owner_uid if provided
-      let filteredProjects = Object.entries(projects);
-      if (uid) {
-        filteredProjects = filteredProjects.filter(([id, project]) => project.owner_uid === uid);
-        console.log(`🔒 Filtering projects for user: ${uid}`);
-      }
+// POST /api/v1/chat/mentions/read - Mark mentions read ({ ids }, or all recent ones if omitted)
+v1Router.post('/chat/mentions/read', auth('required'), async (req, res) => {
+  const { ids } = req.body || {};
+  const { uid } = req.user;
 
-      // Transform projects into folders
-      const folders = filteredProjects.map(([id, project]) => ({
-        id: id,
-        name: project.name || 'Untitled Project',
-        itemCount: project.version_count || (project.versions ? project.versions.length : 0),
-        created_at: project.created_at,
-        owner_uid: project.owner_uid
-      }));
-
-      console.log(`✅ Returned ${folders.length} projects${uid ? ' (user filtered)' : ''}`);
-      res.json({
-        success: true,
-        data: {
-          path: ['C:', 'DEEPWAVES'],
-          folders: folders,
-          files: []
-        }
-      });
-    } else {
-      // Return specific project's versions as files
-      const response = await fetch(`${FIREBASE_DB_URL}/projects/${projectId}.json`);
-      const project = await response.json();
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+    return res.status(400).json({
+      success: false,
+      error: 'ids must be an array of notification ids'
+    });
+  }
 
-      if (!project) {
-        return res.status(404).json({
-          success: false,
-          error: 'Project not found'
-        });
-      }
+  try {
+    // Only touch notifications that exist, so unknown ids don't create records
+    const unread = (await store.notifications.list(uid, { limit: 200 }))
+      .filter(notification => !notification.read && (!ids || ids.includes(notification.id)))
+      .map(notification => notification.id);
 
-      // Verify ownership if uid is provided
-      if (uid && project.owner_uid !== uid) {
-        console.log(`🚫 Access denied: Project ${projectId} does not belong to user ${uid}`);
-        return res.status(403).json({
+    if (unread.length > 0) {
+      await store.notifications.markRead(uid, unread);
+    }
+
+    res.json({
+      success: true,
+      data: { marked: unread.length }
+    });
+  } catch (error) {
+    console.error('❌ Error marking mentions read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark mentions read'
+    });
+  }
+});
+
+const PRESENCE_STATUSES = ['online', 'idle', 'away'];
+const SESSION_ROLES = ['host', 'spectator'];
+
+// Turns a client's global_chat_activity report into the presence fields everyone sees.
+// Unknown tracks and closed multiplayer sessions are dropped, anonymous tracks lose their
+// artist, and an anonymous artist playing their own track shows as listening to nothing.
+async function resolveChatActivity(uid, data) {
+  const status = PRESENCE_STATUSES.includes(data.status) ? data.status : 'online';
+
+  let track = null;
+  if (typeof data.trackId === 'string' && data.trackId) {
+    const entry = (await getTrackCatalog()).find(item => item.id === data.trackId);
+    if (entry && !(entry.isAnon && entry.user_id === uid)) {
+      track = toSharedTrack(entry);
+    }
+  }
+
+  let session = null;
+  const code = typeof data.session?.code === 'string' ? data.session.code.toUpperCase() : null;
+  const claimed = code && sessions.get(code);
+  if (claimed && SESSION_ROLES.includes(data.session.role) && await hasSessionRole(claimed, uid, data.session.role)) {
+    session = { code, role: data.session.role };
+  }
+
+  return { status, track, session };
+}
+
+// Presence may only show a session role the user really has: the signed-in host, or a
+// spectator socket that joined signed in as this user
+async function hasSessionRole(session, uid, role) {
+  if (role === 'host') return session.hostUid === uid;
+  // Spectators' credentials may still be being checked
+  await Promise.all(session.players.map(player => player.uidReady));
+  return session.players.some(player => player.uid === uid);
+}
+
+// GET /api/v1/chat/presence - Get online users (signed-in global chat subscribers)
+v1Router.get('/chat/presence', auth('public'), (req, res) => {
+  console.log('👥 GET /api/v1/chat/presence');
+
+  const onlineUsers = chatHub.onlineUsers();
+
+  console.log(`✅ Returned ${onlineUsers.length} online users`);
+  res.json({
+    success: true,
+    data: onlineUsers
+  });
+});
+
+// POST /api/v1/chat/messages/:id/report - Flag a message for moderators
+v1Router.post('/chat/messages/:id/report', chatLimiter, auth('required'), async (req, res) => {
+  const { id } = req.params;
+  const { uid } = req.user;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+  console.log(`🚩 POST /api/v1/chat/messages/${id}/report`);
+
+  try {
+    const messageData = await store.messages.get(id);
+
+    if (!messageData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    if (messageData.uid === uid) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot report your own message'
+      });
+    }
+
+    // One report per reporter and message
+    const reportId = `${id}_${uid}`;
+    if (await store.moderation.getReport(reportId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already reported this message'
+      });
+    }
+
+    await store.moderation.setReport(reportId, {
+      messageId: id,
+      reporterUid: uid,
+      reason: reason || null,
+      message: {
+        text: messageData.text,
+        uid: messageData.uid,
+        username: messageData.username,
+        createdAt: messageData.createdAt
+      },
+      status: 'open',
+      createdAt: Date.now()
+    });
+
+    console.log(`✅ Message ${id} reported by ${uid}`);
+    res.json({
+      success: true,
+      data: { id: reportId }
+    });
+  } catch (error) {
+    console.error('❌ Error reporting message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report message'
+    });
+  }
+});
+
+// ========================================
+// CHAT MODERATION
+// ========================================
+
+const MAX_SANCTION_MINUTES = 365 * 24 * 60;
+
+// Close every open report about a message
+async function resolveMessageReports(messageId, actor, resolution) {
+  const reports = await store.moderation.listReports() || {};
+  const open = Object.entries(reports)
+    .filter(([id, report]) => report.messageId === messageId && report.status === 'open');
+
+  await Promise.all(open.map(([id]) => store.moderation.updateReport(id, {
+    status: resolution,
+    resolvedBy: actor.uid,
+    resolvedAt: Date.now()
+  })));
+}
+
+// GET /api/v1/moderation/reports - Reports, newest first
+v1Router.get('/moderation/reports', auth('moderator'), async (req, res) => {
+  const status = req.query.status || 'open';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  console.log(`📥 GET /api/v1/moderation/reports (status: ${status})`);
+
+  try {
+    const reports = Object.entries(await store.moderation.listReports() || {})
+      .map(([id, report]) => ({ id, ...report }))
+      .filter(report => status === 'all' || report.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      data: reports,
+      count: reports.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reports'
+    });
+  }
+});
+
+// POST /api/v1/moderation/reports/:id/resolve - Dismiss a report or mark it actioned
+v1Router.post('/moderation/reports/:id/resolve', auth('moderator'), async (req, res) => {
+  const { id } = req.params;
+  const { resolution, note } = req.body || {};
+
+  if (resolution !== 'dismissed' && resolution !== 'actioned') {
+    return res.status(400).json({
+      success: false,
+      error: 'resolution must be "dismissed" or "actioned"'
+    });
+  }
+
+  try {
+    const report = await store.moderation.getReport(id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    await store.moderation.updateReport(id, {
+      status: resolution,
+      resolvedBy: req.user.uid,
+      resolvedAt: Date.now()
+    });
+    await moderation.log('resolve_report', req.user, {
+      reportId: id,
+      messageId: report.messageId,
+      targetUid: report.message?.uid || null,
+      resolution,
+      note: typeof note === 'string' ? note.slice(0, 500) : null
+    });
+
+    res.json({
+      success: true,
+      data: { id, status: resolution }
+    });
+  } catch (error) {
+    console.error('❌ Error resolving report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve report'
+    });
+  }
+});
+
+// GET /api/v1/moderation/sanctions - Active mutes and bans
+v1Router.get('/moderation/sanctions', auth('moderator'), async (req, res) => {
+  console.log('📥 GET /api/v1/moderation/sanctions');
+
+  try {
+    const now = Date.now();
+    const sanctions = Object.entries(await store.moderation.listSanctions() || {})
+      .map(([uid, sanction]) => ({ uid, ...sanction }))
+      .filter(sanction => !sanction.until || sanction.until > now)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({
+      success: true,
+      data: sanctions,
+      count: sanctions.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sanctions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sanctions'
+    });
+  }
+});
+
+// POST /api/v1/moderation/sanctions - Mute or ban a user
+v1Router.post('/moderation/sanctions', auth('moderator'), async (req, res) => {
+  const { uid, type, durationMinutes, reason } = req.body || {};
+  const minutes = durationMinutes === undefined || durationMinutes === null ? null : Number(durationMinutes);
+  console.log(`🛡️ POST /api/v1/moderation/sanctions (${type} ${uid})`);
+
+  if (!uid || !SANCTION_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `uid and type (${SANCTION_TYPES.join(' or ')}) are required`
+    });
+  }
+
+  // Mutes must expire; bans without a duration are permanent
+  if ((type === 'mute' && minutes === null) ||
+      (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SANCTION_MINUTES))) {
+    return res.status(400).json({
+      success: false,
+      error: `durationMinutes must be an integer from 1 to ${MAX_SANCTION_MINUTES}`
+    });
+  }
+
+  if (uid === req.user.uid) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot sanction yourself'
+    });
+  }
+
+  try {
+    const targetRole = await moderation.storedRoleOf(uid);
+    if (targetRole === 'admin' || (targetRole === 'moderator' && !req.user.isAdmin)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can sanction moderators'
+      });
+    }
+
+    const sanction = {
+      type,
+      until: minutes === null ? null : Date.now() + minutes * 60 * 1000,
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 500) : null,
+      actorUid: req.user.uid,
+      createdAt: Date.now()
+    };
+
+    await store.moderation.setSanction(uid, sanction);
+    await moderation.log(type, req.user, {
+      targetUid: uid,
+      until: sanction.until,
+      reason: sanction.reason
+    });
+
+    res.json({
+      success: true,
+      data: { uid, ...sanction }
+    });
+  } catch (error) {
+    console.error('❌ Error sanctioning user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sanction user'
+    });
+  }
+});
+
+// DELETE /api/v1/moderation/sanctions/:uid - Lift a mute or ban
+v1Router.delete('/moderation/sanctions/:uid', auth('moderator'), async (req, res) => {
+  const { uid } = req.params;
+  console.log(`🛡️ DELETE /api/v1/moderation/sanctions/${uid}`);
+
+  try {
+    const sanction = await store.moderation.getSanction(uid);
+
+    if (!sanction) {
+      return res.status(404).json({
+        success: false,
+        error: 'No sanction for this user'
+      });
+    }
+
+    await store.moderation.setSanction(uid, null);
+    await moderation.log('lift_sanction', req.user, {
+      targetUid: uid,
+      sanctionType: sanction.type
+    });
+
+    res.json({
+      success: true,
+      message: 'Sanction lifted'
+    });
+  } catch (error) {
+    console.error('❌ Error lifting sanction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift sanction'
+    });
+  }
+});
+
+// GET /api/v1/moderation/filters - Current word and link filters
+v1Router.get('/moderation/filters', auth('moderator'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await moderation.getFilters()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching filters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch filters'
+    });
+  }
+});
+
+// PUT /api/v1/moderation/filters - Replace the word and link filters
+v1Router.put('/moderation/filters', auth('admin'), async (req, res) => {
+  console.log('🛡️ PUT /api/v1/moderation/filters');
+
+  try {
+    const filters = await moderation.setFilters(req.body || {});
+    await moderation.log('update_filters', req.user, {
+      blockedWords: filters.blockedWords.length,
+      blockLinks: filters.blockLinks,
+      allowedDomains: filters.allowedDomains
+    });
+
+    res.json({
+      success: true,
+      data: filters
+    });
+  } catch (error) {
+    console.error('❌ Error updating filters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update filters'
+    });
+  }
+});
+
+// GET /api/v1/moderation/roles - Users with a stored moderator role
+v1Router.get('/moderation/roles', auth('moderator'), async (req, res) => {
+  try {
+    const roles = Object.entries(await store.moderation.listRoles() || {})
+      .map(([uid, role]) => ({ uid, role }));
+
+    res.json({
+      success: true,
+      data: roles,
+      count: roles.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles'
+    });
+  }
+});
+
+// PUT /api/v1/moderation/roles/:uid - Grant ({ role: 'moderator' }) or revoke ({ role: null }) a role
+v1Router.put('/moderation/roles/:uid', auth('admin'), async (req, res) => {
+  const { uid } = req.params;
+  const role = req.body?.role ?? null;
+  console.log(`🛡️ PUT /api/v1/moderation/roles/${uid} (${role})`);
+
+  if (role !== null && role !== 'moderator') {
+    return res.status(400).json({
+      success: false,
+      error: 'role must be "moderator" or null'
+    });
+  }
+
+  try {
+    const user = await store.users.get(uid);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await store.moderation.setRole(uid, role);
+    await moderation.log(role ? 'grant_role' : 'revoke_role', req.user, {
+      targetUid: uid,
+      role: role || 'moderator'
+    });
+
+    res.json({
+      success: true,
+      data: { uid, role }
+    });
+  } catch (error) {
+    console.error('❌ Error updating role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+});
+
+// GET /api/v1/moderation/log - Audit log of moderator actions, newest first
+v1Router.get('/moderation/log', auth('moderator'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const before = parseInt(req.query.before) || null;
+  console.log(`📥 GET /api/v1/moderation/log (limit: ${limit})`);
+
+  try {
+    const entries = await store.moderation.listLog({ limit, before });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching moderation log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderation log'
+    });
+  }
+});
+
+// Sign-in response body. With { session: true } the tokens go into a cookie session
+// and the client gets the CSRF token instead.
+async function signInResult(req, res, data, user) {
+  if (req.body.session !== true) {
+    return {
+      idToken: data.idToken,
+      refreshToken: data.refreshToken,
+      expiresIn: data.expiresIn,
+      localId: data.localId,
+      email: data.email,
+      user
+    };
+  }
+
+  await authSessions.destroy(req, res);
+  const csrfToken = await authSessions.create(res, data);
+  return {
+    session: true,
+    csrfToken,
+    localId: data.localId,
+    email: data.email,
+    user
+  };
+}
+
+// 429 with the lockout's code and retryAfter, for the terminal login to show
+function sendLoginLocked(res, locked) {
+  res.set('Retry-After', String(locked.retryAfter));
+  return res.status(locked.status).json({
+    success: false,
+    error: locked.error,
+    code: locked.code,
+    retryAfter: locked.retryAfter
+  });
+}
+
+// POST /api/v1/auth/login - Firebase Authentication Login
+v1Router.post('/auth/login', auth('public'), async (req, res) => {
+  const { email, password } = req.body;
+  console.log(`🔐 POST /api/v1/auth/login - ${maskEmail(email)}`);
+
+  if (!email || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Email and password are required'
+    });
+  }
+
+  try {
+    const blocked = await loginGuard.check(email, req.ip);
+    if (!blocked.ok) {
+      return sendLoginLocked(res, blocked);
+    }
+
+    // Sign in through the store (Firebase Auth REST API or local accounts)
+    const signIn = await store.auth.signInWithPassword(email, password);
+
+    if (!signIn.ok) {
+      const reason = String(signIn.error || 'UNKNOWN').split(' ')[0];
+      console.log(`❌ Login failed for ${maskEmail(email)}: ${reason}`);
+
+      // Firebase's own throttling, not a wrong password
+      if (reason === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
+        return res.status(429).json({
           success: false,
-          error: 'Access denied: You do not own this project'
+          error: 'Too many login attempts. Try again later',
+          code: 'TOO_MANY_ATTEMPTS'
+        });
+      }
+
+      const locked = await loginGuard.recordFailure(email, req.ip, reason);
+      if (locked) {
+        return sendLoginLocked(res, locked);
+      }
+
+      // Same answer for unknown emails and wrong passwords, so accounts can't be probed
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    await loginGuard.recordSuccess(email, req.ip, signIn.data.localId);
+
+    const data = signIn.data;
+
+    // Get user data from database
+    let userData = await store.users.get(data.localId);
+
+    console.log(`📊 User data for ${data.localId}:`, userData);
+
+    // Initialize oms field if it doesn't exist
+    if (userData) {
+      if (typeof userData.oms === 'undefined') {
+        console.log(`🎮 Initializing oms for user: ${data.localId}`);
+        userData.oms = 0;
+        // Update user in database
+        await store.users.update(data.localId, { oms: 0 });
+        console.log(`✅ oms initialized for ${data.localId}`);
+      } else {
+        console.log(`✅ User already has oms: ${userData.oms}`);
+      }
+    } else {
+      console.log(`⚠️ No user data found for ${data.localId}, creating minimal user object`);
+      userData = { oms: 0 };
+      await store.users.update(data.localId, { oms: 0 });
+      console.log(`✅ Created user with oms: ${data.localId}`);
+    }
+
+    console.log(`✅ User logged in: ${maskEmail(email)}${req.body.session === true ? ' (cookie session)' : ''}`);
+    res.json({
+      success: true,
+      data: await signInResult(req, res, data, userData || {})
+    });
+  } catch (error) {
+    console.error('❌ Error during login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  }
+});
+
+// POST /api/v1/auth/refresh - Refresh ID Token
+v1Router.post('/auth/refresh', auth('public'), async (req, res) => {
+  const { refreshToken } = req.body;
+  console.log(`🔄 POST /api/v1/auth/refresh`);
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Refresh token is required'
+    });
+  }
+
+  try {
+    const refreshed = await store.auth.refreshIdToken(refreshToken);
+
+    if (!refreshed.ok) {
+      console.log(`❌ Token refresh failed`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    console.log(`✅ Token refreshed`);
+    res.json({
+      success: true,
+      data: refreshed.data
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed'
+    });
+  }
+});
+
+// POST /api/v1/auth/logout - End the cookie session (token clients just drop their tokens)
+v1Router.post('/auth/logout', auth('optional'), async (req, res) => {
+  console.log('👋 POST /api/v1/auth/logout');
+
+  try {
+    await authSessions.destroy(req, res);
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('❌ Error during logout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// POST /api/v1/auth/register - Create an account and sign in
+v1Router.post('/auth/register', accountLimiter, auth('public'), async (req, res) => {
+  const { email, password, username } = req.body || {};
+  console.log(`🆕 POST /api/v1/auth/register - ${username}`);
+
+  try {
+    const result = await accounts.register({ email, password, username });
+
+    if (!result.ok) {
+      console.log(`❌ Registration failed for ${username}: ${result.error}`);
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log(`✅ User registered: ${result.data.email} (${username})`);
+    res.status(201).json({
+      success: true,
+      data: await signInResult(req, res, result.data, result.data.user)
+    });
+  } catch (error) {
+    console.error('❌ Error during registration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Registration failed'
+    });
+  }
+});
+
+// POST /api/v1/auth/password-reset - Send a password reset code
+v1Router.post('/auth/password-reset', accountLimiter, auth('public'), async (req, res) => {
+  const { email } = req.body || {};
+  console.log('🔑 POST /api/v1/auth/password-reset');
+
+  try {
+    const result = await accounts.requestPasswordReset(email);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset code is on its way'
+    });
+  } catch (error) {
+    console.error('❌ Error requesting password reset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed'
+    });
+  }
+});
+
+// POST /api/v1/auth/password-reset/confirm - Set a new password with a reset code
+v1Router.post('/auth/password-reset/confirm', accountLimiter, auth('public'), async (req, res) => {
+  const { code, password } = req.body || {};
+  console.log('🔑 POST /api/v1/auth/password-reset/confirm');
+
+  try {
+    const result = await accounts.resetPassword(code, password);
+
+    if (!result.ok) {
+      console.log(`❌ Password reset rejected: ${result.error}`);
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    console.log('✅ Password reset');
+    res.json({
+      success: true,
+      message: 'Password updated, you can log in now'
+    });
+  } catch (error) {
+    console.error('❌ Error resetting password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed'
+    });
+  }
+});
+
+// ========================================
+// DEEPWAVES FILE SYSTEM ENDPOINTS
+// ========================================
+
+// Creating projects and committing versions (see projects.js)
+const projects = createProjects(store, {
+  previewMaxBytes: (parseInt(process.env.PREVIEW_UPLOAD_MAX_MB) || 50) * 1024 * 1024,
+  zipMaxBytes: (parseInt(process.env.PROJECT_ZIP_MAX_MB) || 200) * 1024 * 1024
+});
+
+function sendProjectFailure(res, result) {
+  return res.status(result.status).json({
+    success: false,
+    error: result.error
+  });
+}
+
+// Folder entry for a project, as listed by GET /files
+function toProjectFolder(id, project, role = 'owner') {
+  return {
+    id,
+    name: project.name || 'Untitled Project',
+    itemCount: project.version_count || (project.versions ? project.versions.length : 0),
+    created_at: project.created_at,
+    owner_uid: project.owner_uid,
+    role
+  };
+}
+
+// Root folder listing the projects other people shared with the user
+const SHARED_FOLDER_ID = 'shared';
+
+// Version files are only served through signed links for one user, re-checked against the
+// project's collaborators on every download (see GET /projects/:projectId/versions/:versionId/files/:kind)
+const PROJECT_FILE_TOKEN_TTL_SECONDS = parseInt(process.env.PROJECT_FILE_TOKEN_TTL_SECONDS) || 60 * 60;
+
+function versionFileLinks(projectId, version, uid) {
+  const link = (kind) => {
+    const token = streamSigner.sign({ p: projectId, v: version.version_id, k: kind, u: uid }, PROJECT_FILE_TOKEN_TTL_SECONDS);
+    return `/api/v1/projects/${encodeURIComponent(projectId)}/versions/${encodeURIComponent(version.version_id)}/files/${kind}?token=${token}`;
+  };
+  return {
+    previewUrl: link('preview_track'),
+    downloadUrl: version.files.project_zip ? link('project_zip') : undefined
+  };
+}
+
+// File entry for a project version (versions without a preview track are skipped). Without a
+// uid (the shared search index) it has no file links.
+function toVersionFile(projectId, project, version, index, uid = null) {
+  const links = uid ? versionFileLinks(projectId, version, uid) : {};
+  return {
+    id: `${projectId}_${version.version_id}`,
+    name: `${project.name} - ${version.version_number || `v${index + 1}`}`,
+    type: version.files.preview_track.content_type || 'audio/wav',
+    size: version.files.project_zip?.size || 0,
+    previewUrl: links.previewUrl || null,
+    downloadUrl: links.downloadUrl,
+    createdAt: version.committed_at,
+    description: version.commit_message || 'No description',
+    metadata: {
+      bpm: version.metadata?.bpm,
+      key: version.metadata?.key,
+      genre: version.metadata?.genre,
+      vibe: version.metadata?.vibe,
+      commit_type: version.commit_type,
+      version_number: version.version_number,
+      version_id: version.version_id,
+      branch: version.branch || 'main'
+    }
+  };
+}
+
+function projectVersionFiles(projectId, project, uid) {
+  if (!project.versions || !Array.isArray(project.versions)) return [];
+  return project.versions
+    .map((version, index) => (version.files?.preview_track ? toVersionFile(projectId, project, version, index, uid) : null))
+    .filter(Boolean);
+}
+
+// GET /api/v1/files - Get root projects, the shared-with-me folder, or specific project versions
+v1Router.get('/files', auth('required'), async (req, res) => {
+  const { projectId } = req.query;
+  const { uid } = req.user;
+  console.log(`📁 GET /api/v1/files${projectId ? `?projectId=${projectId}` : ' (root)'} uid=${uid}`);
+
+  try {
+    // Root and shared levels list projects as folders
+    if (!projectId || projectId === SHARED_FOLDER_ID) {
+      const allProjects = Object.entries(await store.projects.list() || {});
+      const owned = allProjects.filter(([id, project]) => project.owner_uid === uid);
+      const shared = allProjects
+        .map(([id, project]) => [id, project, projectRoleOf(project, uid)])
+        .filter(([id, project, role]) => role && role !== 'owner');
+
+      if (projectId === SHARED_FOLDER_ID) {
+        const users = await getUserDirectory();
+        const folders = shared.map(([id, project, role]) => ({
+          ...toProjectFolder(id, project, role),
+          owner_username: users[project.owner_uid]?.username || null
+        }));
+
+        console.log(`✅ Returned ${folders.length} shared projects`);
+        return res.json({
+          success: true,
+          data: {
+            path: ['C:', 'DEEPWAVES', 'SHARED'],
+            folders,
+            files: []
+          }
         });
       }
 
-      // Transform versions into files
-      const files = [];
-      if (project.versions && Array.isArray(project.versions)) {
-        project.versions.forEach((version, index) => {
-          if (version.files?.preview_track) {
-            files.push({
-              id: `${projectId}_${version.version_id}`,
-              name: `${project.name} - ${version.version_number || `v${index + 1}`}`,
-              type: 'audio/wav',
-              size: version.files.project_zip?.size || 0,
-              previewUrl: version.files.preview_track.url,
-              downloadUrl: version.files.project_zip?.url,
-              createdAt: version.committed_at,
-              description: version.commit_message || 'No description',
-              metadata: {
-                bpm: version.metadata?.bpm,
-                key: version.metadata?.key,
-                genre: version.metadata?.genre,
-                vibe: version.metadata?.vibe,
-                commit_type: version.commit_type,
-                version_number: version.version_number
-              }
-            });
-          }
-        });
-      }
+      // Only the signed-in user's projects, plus one folder for what others shared
+      const folders = owned.map(([id, project]) => toProjectFolder(id, project));
+      if (shared.length > 0) {
+        folders.push({
+          id: SHARED_FOLDER_ID,
+          name: 'SHARED WITH ME',
+          itemCount: shared.length,
+          shared: true
+        });
+      }
+
+      console.log(`✅ Returned ${owned.length} projects${shared.length ? ` and ${shared.length} shared` : ''}`);
+      return res.json({
+        success: true,
+        data: {
+          path: ['C:', 'DEEPWAVES'],
+          folders: folders,
+          files: []
+        }
+      });
+    }
+
+    // Return specific project's versions as files, for the owner and collaborators
+    const result = await projects.access(uid, projectId, 'viewer');
+    if (!result.ok) return sendProjectFailure(res, result);
+    const { project, role } = result;
+
+    // Transform versions into files
+    const files = projectVersionFiles(projectId, project, uid);
+
+    console.log(`✅ Returned ${files.length} versions for project: ${project.name}`);
+    res.json({
+      success: true,
+      data: {
+        path: role === 'owner'
+          ? ['C:', 'DEEPWAVES', project.name || 'Untitled']
+          : ['C:', 'DEEPWAVES', 'SHARED', project.name || 'Untitled'],
+        folders: [],
+        files: files,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching files:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch files'
+    });
+  }
+});
+
+// Buffers the raw request body for uploads; answers 413 itself rather than via the error handler
+function rawUpload(limit) {
+  const parse = express.raw({ type: () => true, limit });
+  return (req, res, next) => parse(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.type === 'entity.too.large' ? 413 : 400).json({
+      success: false,
+      error: error.type === 'entity.too.large' ? 'Upload is too large' : 'Invalid upload body'
+    });
+  });
+}
+
+// POST /api/v1/projects - Create a project
+v1Router.post('/projects', auth('required'), async (req, res) => {
+  const { uid } = req.user;
+  console.log(`📁 POST /api/v1/projects uid=${uid}`);
+
+  try {
+    const result = await projects.create(uid, req.body || {});
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    console.log(`✅ Created project ${result.id}: ${result.project.name}`);
+    res.status(201).json({
+      success: true,
+      data: toProjectFolder(result.id, result.project)
+    });
+  } catch (error) {
+    console.error('❌ Error creating project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create project'
+    });
+  }
+});
+
+// PATCH /api/v1/projects/:projectId - Rename a project
+v1Router.patch('/projects/:projectId', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`📁 PATCH /api/v1/projects/${projectId} uid=${uid}`);
+
+  try {
+    const result = await projects.rename(uid, projectId, req.body || {});
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    console.log(`✅ Renamed project ${projectId} to ${result.project.name}`);
+    res.json({
+      success: true,
+      data: toProjectFolder(projectId, result.project)
+    });
+  } catch (error) {
+    console.error('❌ Error renaming project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename project'
+    });
+  }
+});
+
+// DELETE /api/v1/projects/:projectId - Delete a project with all its versions and files
+v1Router.delete('/projects/:projectId', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`🗑️ DELETE /api/v1/projects/${projectId} uid=${uid}`);
+
+  try {
+    const result = await projects.remove(uid, projectId);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    console.log(`✅ Deleted project ${projectId}`);
+    res.json({
+      success: true,
+      data: { id: projectId }
+    });
+  } catch (error) {
+    console.error('❌ Error deleting project:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete project'
+    });
+  }
+});
+
+// POST /api/v1/projects/:projectId/uploads?kind=preview_track|project_zip&filename= - Stage a file
+// The request body is the file itself, sent with its own Content-Type
+v1Router.post('/projects/:projectId/uploads', auth('required'), rawUpload(projects.maxUploadBytes), async (req, res) => {
+  const { projectId } = req.params;
+  const { kind, filename } = req.query;
+  const { uid } = req.user;
+  console.log(`📤 POST /api/v1/projects/${projectId}/uploads (${kind}, ${req.body?.length || 0} bytes) uid=${uid}`);
+
+  try {
+    const result = await projects.stageUpload(uid, projectId, {
+      kind,
+      filename,
+      contentType: req.headers['content-type'],
+      body: req.body
+    });
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    const { id, size, content_type, filename: storedName } = result.upload;
+    res.status(201).json({
+      success: true,
+      data: { id, kind, size, content_type, filename: storedName }
+    });
+  } catch (error) {
+    console.error('❌ Error uploading project file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload file'
+    });
+  }
+});
+
+// POST /api/v1/projects/:projectId/versions - Commit a version from staged uploads
+v1Router.post('/projects/:projectId/versions', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`📁 POST /api/v1/projects/${projectId}/versions uid=${uid}`);
+
+  try {
+    const result = await projects.commit(uid, projectId, req.body || {});
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    console.log(`✅ Committed ${result.version.version_number} (${result.version.commit_type}) to ${result.project.name}`);
+    audioAnalysis.forVersion(projectId, result.version.version_id, result.version.files.preview_track).catch(error => {
+      console.error('❌ Error queueing version analysis:', error.message);
+    });
+    res.status(201).json({
+      success: true,
+      data: toVersionFile(projectId, result.project, result.version, result.index, uid)
+    });
+  } catch (error) {
+    console.error('❌ Error committing version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to commit version'
+    });
+  }
+});
+
+// GET /api/v1/projects/:projectId/versions/:versionId/files/:kind?token= - Download a version's preview_track or project_zip
+// The token comes from a file entry's previewUrl/downloadUrl; links are plain URLs so <audio> and download links work
+v1Router.get('/projects/:projectId/versions/:versionId/files/:kind', auth('public'), async (req, res) => {
+  const { projectId, versionId, kind } = req.params;
+  console.log(`📥 GET /api/v1/projects/${projectId}/versions/${versionId}/files/${kind}`);
+
+  const grant = streamSigner.verify(req.query.token);
+  if (!grant || grant.p !== projectId || grant.v !== versionId || grant.k !== kind) {
+    console.log(`🚫 Rejected file request for ${projectId}/${versionId}: invalid or expired token`);
+    return res.status(403).json({
+      success: false,
+      error: 'File link is invalid or has expired'
+    });
+  }
+
+  try {
+    // Access is checked on every download, so removed collaborators lose it right away
+    const result = await projects.versionFile(grant.u, projectId, versionId, kind);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    const { file } = result;
+    res.set('Cache-Control', 'private, no-store');
+    if (kind === 'project_zip') res.attachment(file.filename);
+
+    // Local stores: send handles Range itself
+    if (store.files.directory) {
+      return res.sendFile(file.path, { root: store.files.directory, headers: { 'Content-Type': file.content_type } }, (error) => {
+        if (error && !res.headersSent) {
+          console.error('❌ Error sending project file:', error.message);
+          res.status(404).json({
+            success: false,
+            error: 'File not found'
+          });
+        }
+      });
+    }
+
+    res.type(file.content_type);
+    if (file.size) res.set('Content-Length', String(file.size));
+    const stream = store.files.open(file.path);
+    stream.on('error', (error) => {
+      console.error('❌ Project file relay error:', error.message);
+      res.destroy();
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Error fetching project file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch file'
+    });
+  }
+});
+
+// GET /api/v1/projects/:projectId/collaborators - Owner, collaborators and (for the owner) open invites
+v1Router.get('/projects/:projectId/collaborators', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`👥 GET /api/v1/projects/${projectId}/collaborators uid=${uid}`);
+
+  try {
+    const result = await projects.listMembers(uid, projectId);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching collaborators:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collaborators'
+    });
+  }
+});
+
+// POST /api/v1/projects/:projectId/collaborators - Add a collaborator by username (owner only)
+v1Router.post('/projects/:projectId/collaborators', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`👥 POST /api/v1/projects/${projectId}/collaborators uid=${uid}`);
+
+  try {
+    const result = await projects.addCollaborator(uid, projectId, req.body || {});
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    console.log(`✅ ${result.collaborator.username} is now a ${result.collaborator.role} on ${projectId}`);
+    res.status(201).json({
+      success: true,
+      data: result.collaborator
+    });
+  } catch (error) {
+    console.error('❌ Error adding collaborator:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add collaborator'
+    });
+  }
+});
+
+// PATCH /api/v1/projects/:projectId/collaborators/:uid - Change a collaborator's role (owner only)
+v1Router.patch('/projects/:projectId/collaborators/:uid', auth('required'), async (req, res) => {
+  const { projectId, uid: memberUid } = req.params;
+  const { uid } = req.user;
+  console.log(`👥 PATCH /api/v1/projects/${projectId}/collaborators/${memberUid} uid=${uid}`);
+
+  try {
+    const result = await projects.setCollaboratorRole(uid, projectId, memberUid, req.body || {});
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.json({
+      success: true,
+      data: result.collaborator
+    });
+  } catch (error) {
+    console.error('❌ Error changing collaborator role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change collaborator role'
+    });
+  }
+});
+
+// DELETE /api/v1/projects/:projectId/collaborators/:uid - Remove a collaborator, or leave a project
+v1Router.delete('/projects/:projectId/collaborators/:uid', auth('required'), async (req, res) => {
+  const { projectId, uid: memberUid } = req.params;
+  const { uid } = req.user;
+  console.log(`👥 DELETE /api/v1/projects/${projectId}/collaborators/${memberUid} uid=${uid}`);
+
+  try {
+    const result = await projects.removeCollaborator(uid, projectId, memberUid);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.json({
+      success: true,
+      data: { uid: memberUid }
+    });
+  } catch (error) {
+    console.error('❌ Error removing collaborator:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove collaborator'
+    });
+  }
+});
+
+// POST /api/v1/projects/:projectId/invites - Create an invite link (owner only)
+v1Router.post('/projects/:projectId/invites', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`✉️ POST /api/v1/projects/${projectId}/invites uid=${uid}`);
+
+  try {
+    const result = await projects.createInvite(uid, projectId, req.body || {});
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      data: result.invite
+    });
+  } catch (error) {
+    console.error('❌ Error creating invite:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invite'
+    });
+  }
+});
+
+// DELETE /api/v1/projects/:projectId/invites/:inviteId - Revoke an invite link (owner only)
+v1Router.delete('/projects/:projectId/invites/:inviteId', auth('required'), async (req, res) => {
+  const { projectId, inviteId } = req.params;
+  const { uid } = req.user;
+  console.log(`✉️ DELETE /api/v1/projects/${projectId}/invites/${inviteId} uid=${uid}`);
+
+  try {
+    const result = await projects.revokeInvite(uid, projectId, inviteId);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.json({
+      success: true,
+      data: { id: inviteId }
+    });
+  } catch (error) {
+    console.error('❌ Error revoking invite:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invite'
+    });
+  }
+});
+
+// POST /api/v1/projects/join - Accept an invite link ({ token })
+v1Router.post('/projects/join', auth('required'), async (req, res) => {
+  const { uid } = req.user;
+  console.log(`✉️ POST /api/v1/projects/join uid=${uid}`);
+
+  try {
+    const result = await projects.acceptInvite(uid, req.body?.token);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    if (result.joined) {
+      console.log(`✅ ${uid} joined ${result.projectId} as ${result.role}`);
+    }
+    res.json({
+      success: true,
+      data: { ...toProjectFolder(result.projectId, result.project, result.role), joined: result.joined }
+    });
+  } catch (error) {
+    console.error('❌ Error accepting invite:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invite'
+    });
+  }
+});
+
+// GET /api/v1/files/:projectId/history - Version graph: parents, branches and branch heads
+v1Router.get('/files/:projectId/history', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { uid } = req.user;
+  console.log(`🌳 GET /api/v1/files/${projectId}/history uid=${uid}`);
+
+  try {
+    const result = await projects.history(uid, projectId);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching project history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project history'
+    });
+  }
+});
 
-      console.log(`✅ Returned ${files.length} versions for project: ${project.name}`);
-      res.json({
-        success: true,
-        data: {
-          path: ['C:', 'DEEPWAVES', project.name || 'Untitled'],
-          folders: [],
-          files: files
-        }
+// GET /api/v1/files/:projectId/diff?to=<versionId>&from=<versionId> - Metadata and file size changes
+v1Router.get('/files/:projectId/diff', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { from, to } = req.query;
+  const { uid } = req.user;
+  console.log(`🌳 GET /api/v1/files/${projectId}/diff (${from || 'parent'}..${to}) uid=${uid}`);
+
+  if (typeof to !== 'string' || !to || (from !== undefined && typeof from !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'to is required'
+    });
+  }
+
+  try {
+    const result = await projects.diff(uid, projectId, { from, to });
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('❌ Error diffing versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff versions'
+    });
+  }
+});
+
+// GET /api/v1/files/:projectId/analysis?version=<versionId> - Analysis of a version's preview track
+// (default: the head of main)
+v1Router.get('/files/:projectId/analysis', auth('required'), async (req, res) => {
+  const { projectId } = req.params;
+  const { version } = req.query;
+  const { uid } = req.user;
+  console.log(`🎚️ GET /api/v1/files/${projectId}/analysis (${version || 'main'}) uid=${uid}`);
+
+  if (version !== undefined && typeof version !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'version must be a version id'
+    });
+  }
+
+  try {
+    const result = await projects.preview(uid, projectId, version);
+    if (!result.ok) return sendProjectFailure(res, result);
+
+    sendAnalysis(res, await audioAnalysis.forVersion(projectId, result.versionId, result.file));
+  } catch (error) {
+    console.error('❌ Error fetching version analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch version analysis'
+    });
+  }
+});
+
+// GET /api/v1/auth/verify - Verify ID Token
+v1Router.get('/auth/verify', auth('required'), (req, res) => {
+  console.log(`✅ Token verified for: ${req.user.email || req.user.uid}`);
+  res.json({
+    success: true,
+    data: {
+      uid: req.user.uid,
+      email: req.user.email,
+      emailVerified: req.user.emailVerified,
+      session: Boolean(req.authSession),
+      csrfToken: req.authSession ? req.authSession.csrfToken : undefined
+    }
+  });
+});
+
+// ========================================
+// LISTENING REWARDS
+// ========================================
+
+// Listens are counted and OMs awarded through server-side sessions (see listens.js)
+const listenRewards = createListenRewards(store, omsLedger, {
+  secret: process.env.LISTEN_TOKEN_SECRET,
+  cooldownSeconds: parseInt(process.env.LISTEN_COOLDOWN_SECONDS) || 30 * 60,
+  listenerDailyCap: parseInt(process.env.LISTENER_DAILY_OM_CAP) || 660,
+  artistDailyCap: parseInt(process.env.ARTIST_DAILY_OM_CAP) || 1000
+});
+
+function sendListenResult(res, result) {
+  if (!result.ok) {
+    const { ok, status, ...body } = result;
+    return res.status(status).json({ success: false, ...body });
+  }
+  res.json({ success: true, data: result.data });
+}
+
+// POST /api/v1/tracks/:trackId/listens - Start a listening session
+v1Router.post('/tracks/:trackId/listens', auth('optional'), async (req, res) => {
+  const { trackId } = req.params;
+  const uid = req.user?.uid;
+  console.log(`🎵 POST /api/v1/tracks/${trackId}/listens${uid ? ` (user: ${uid})` : ''}`);
+
+  try {
+    const result = await listenRewards.start(trackId, listenerKeyFor(uid, req.ip), uid);
+    sendListenResult(res, result);
+  } catch (error) {
+    console.error('❌ Error starting listen session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start listen session'
+    });
+  }
+});
+
+// POST /api/v1/listens/heartbeat - Credit listening time while audio is playing
+v1Router.post('/listens/heartbeat', auth('optional'), async (req, res) => {
+  const { token } = req.body || {};
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: 'Listen token is required'
+    });
+  }
+
+  try {
+    const result = await listenRewards.heartbeat(token, listenerKeyFor(req.user?.uid, req.ip));
+    sendListenResult(res, result);
+  } catch (error) {
+    console.error('❌ Error recording listen heartbeat:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record heartbeat'
+    });
+  }
+});
+
+// POST /api/v1/listens/claim - Count the listen and award OMs once the threshold is reached
+v1Router.post('/listens/claim', auth('optional'), async (req, res) => {
+  const { token } = req.body || {};
+  console.log(`🎵 POST /api/v1/listens/claim${req.user ? ` (user: ${req.user.uid})` : ''}`);
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: 'Listen token is required'
+    });
+  }
+
+  try {
+    const result = await listenRewards.claim(token, listenerKeyFor(req.user?.uid, req.ip));
+    if (result.ok) {
+      console.log(`✅ Listen claimed for track ${result.data.trackId}: counted=${result.data.counted}${result.data.reason ? ` (${result.data.reason})` : ''}`);
+    }
+    sendListenResult(res, result);
+  } catch (error) {
+    console.error('❌ Error claiming listen:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim listen'
+    });
+  }
+});
+
+// ========================================
+// OMS LEDGER
+// ========================================
+
+const OMS_RECONCILE_INTERVAL_MINUTES = parseInt(process.env.OMS_RECONCILE_INTERVAL_MINUTES) || 60;
+
+// GET /api/v1/oms/history - Ledger entries of the signed-in user, newest first
+v1Router.get('/oms/history', auth('required'), async (req, res) => {
+  const { uid } = req.user;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+  const before = parseInt(req.query.before) || null;
+  console.log(`📥 GET /api/v1/oms/history (limit: ${limit}${before ? `, before: ${before}` : ''})`);
+
+  try {
+    const [entries, user] = await Promise.all([
+      store.oms.history(uid, { limit, before }),
+      store.users.get(uid)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      balance: user?.oms || 0,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching OMs history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch OMs history'
+    });
+  }
+});
+
+// GET /api/v1/oms/leaderboard - Top OM balances
+v1Router.get('/oms/leaderboard', auth('public'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+  console.log(`📥 GET /api/v1/oms/leaderboard (limit: ${limit})`);
+
+  try {
+    const users = await getUserDirectory();
+    const ranked = Object.entries(users)
+      .map(([uid, user]) => ({ uid, user, oms: user.oms || 0 }))
+      .filter(entry => entry.oms > 0)
+      .sort((a, b) => b.oms - a.oms || a.uid.localeCompare(b.uid));
+
+    // Equal balances share a rank, matching omsRank on profiles
+    const leaderboard = [];
+    ranked.slice(0, limit).forEach(({ uid, user, oms }, index) => {
+      const previous = leaderboard[index - 1];
+      const rank = previous && previous.oms === oms ? previous.rank : index + 1;
+      const entry = { rank, uid, oms };
+      PUBLIC_USER_FIELDS.forEach(field => {
+        entry[field] = user[field] ?? null;
+      });
+      leaderboard.push(entry);
+    });
+
+    res.json({
+      success: true,
+      data: leaderboard,
+      count: leaderboard.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching OMs leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leaderboard'
+    });
+  }
+});
+
+// POST /api/v1/oms/adjustments - Admin credit or debit with a reason
+v1Router.post('/oms/adjustments', auth('admin'), async (req, res) => {
+  const { uid, amount, reason } = req.body || {};
+  console.log(`🛠️ POST /api/v1/oms/adjustments by ${req.user.uid}`);
+
+  if (!uid || !Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'uid and a non-zero integer amount are required'
+    });
+  }
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'A reason is required'
+    });
+  }
+
+  try {
+    const user = await store.users.get(uid);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const { id, balance } = await omsLedger.credit(uid, amount, 'admin_adjustment', {
+      reason: reason.trim().slice(0, 500),
+      adminUid: req.user.uid
+    });
+
+    console.log(`✅ Adjusted OMs for ${uid} by ${amount}: balance ${balance}`);
+    res.json({
+      success: true,
+      data: { id, uid, amount, balance }
+    });
+  } catch (error) {
+    console.error('❌ Error adjusting OMs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to adjust OMs'
+    });
+  }
+});
+
+async function runOmsReconciliation() {
+  const report = await omsLedger.reconcile();
+  console.log(`🧾 OMs reconciliation: ${report.checked} checked, ${report.opened} opened, ${report.corrected.length} corrected, ${report.skipped} skipped`);
+  return report;
+}
+
+// POST /api/v1/oms/reconcile - Recompute balances from the ledger now
+v1Router.post('/oms/reconcile', auth('admin'), async (req, res) => {
+  console.log(`🛠️ POST /api/v1/oms/reconcile by ${req.user.uid}`);
+
+  try {
+    const report = await runOmsReconciliation();
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error reconciling OMs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile OMs'
+    });
+  }
+});
+
+// Periodic reconciliation job
+setInterval(() => {
+  runOmsReconciliation().catch(error => {
+    console.error('❌ Scheduled OMs reconciliation failed:', error.message);
+  });
+}, OMS_RECONCILE_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// ========================================
+// DIRECT MESSAGES
+// ========================================
+
+// One-to-one conversations (see dms.js). New messages are pushed to both participants'
+// global chat sockets as { type: 'dm_message', with, message }.
+const directMessages = createDirectMessages(store);
+
+// The other user's uid ends up in database paths, so only plain uids are accepted
+const UID_PATTERN = /^[\w-]{1,128}$/;
+
+function requireUidParam(req, res, next) {
+  if (!UID_PATTERN.test(req.params.uid)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user id'
+    });
+  }
+  next();
+}
+
+function toPublicUser(uid, user) {
+  const entry = { uid };
+  PUBLIC_USER_FIELDS.forEach(field => {
+    entry[field] = user?.[field] ?? null;
+  });
+  return entry;
+}
+
+// GET /api/v1/dm/conversations - Conversations with the other user's profile and unread counts
+v1Router.get('/dm/conversations', auth('required'), async (req, res) => {
+  console.log('📨 GET /api/v1/dm/conversations');
+
+  try {
+    const [conversations, users] = await Promise.all([
+      directMessages.conversations(req.user.uid),
+      getUserDirectory()
+    ]);
+
+    const data = conversations.map(conversation => ({
+      ...conversation,
+      user: toPublicUser(conversation.with, users[conversation.with])
+    }));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      unread: data.reduce((total, conversation) => total + conversation.unread, 0)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+// GET /api/v1/dm/conversations/:uid/messages - History with a user, newest first
+v1Router.get('/dm/conversations/:uid/messages', auth('required'), requireUidParam, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+  const before = parseInt(req.query.before) || null;
+  console.log(`📨 GET /api/v1/dm/conversations/${req.params.uid}/messages (limit: ${limit})`);
+
+  try {
+    const messages = await directMessages.history(req.user.uid, req.params.uid, { limit, before });
+
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length,
+      nextBefore: messages.length === limit ? messages[messages.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching direct messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch messages'
+    });
+  }
+});
+
+// POST /api/v1/dm/conversations/:uid/messages - Send a direct message
+v1Router.post('/dm/conversations/:uid/messages', chatLimiter, auth('required'), requireUidParam, async (req, res) => {
+  const { text } = req.body || {};
+  const { uid } = req.user;
+  const otherUid = req.params.uid;
+  console.log(`📨 POST /api/v1/dm/conversations/${otherUid}/messages`);
+
+  const textError = validateMessageText(text);
+  if (textError) {
+    return res.status(400).json({
+      success: false,
+      error: textError
+    });
+  }
+
+  try {
+    // Mutes and bans cover direct messages too
+    const sanction = await moderation.activeSanction(uid);
+    if (sanction) {
+      return res.status(403).json(sanctionError(sanction));
+    }
+
+    const filtered = await moderation.filterMessage(text.trim());
+    if (!filtered.ok) {
+      return res.status(400).json({
+        success: false,
+        error: filtered.error
+      });
+    }
+
+    const result = await directMessages.send(uid, otherUid, filtered.text);
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    chatHub.sendToUser(otherUid, { type: 'dm_message', with: uid, message: result.message });
+    chatHub.sendToUser(uid, { type: 'dm_message', with: otherUid, message: result.message });
+
+    console.log(`✅ Direct message sent by ${uid}`);
+    res.json({
+      success: true,
+      data: result.message
+    });
+  } catch (error) {
+    console.error('❌ Error sending direct message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message'
+    });
+  }
+});
+
+// POST /api/v1/dm/conversations/:uid/read - Reset the conversation's unread count
+v1Router.post('/dm/conversations/:uid/read', auth('required'), requireUidParam, async (req, res) => {
+  try {
+    if (!await directMessages.markRead(req.user.uid, req.params.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
       });
     }
+
+    res.json({
+      success: true,
+      data: { unread: 0 }
+    });
   } catch (error) {
-    console.error('❌ Error fetching files:', error);
+    console.error('❌ Error marking conversation read:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch files'
+      error: 'Failed to mark conversation read'
     });
   }
 });
 
-// GET /api/v1/auth/verify - Verify ID Token
-v1Router.get('/auth/verify', async (req, res) => {
-  const authHeader = req.headers.authorization;
-  console.log(`🔍 GET /api/v1/auth/verify`);
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      success: false,
-      error: 'No token provided'
-    });
-  }
-
-  const idToken = authHeader.split('Bearer ')[1];
-
+// GET /api/v1/dm/blocks - Users you blocked
+v1Router.get('/dm/blocks', auth('required'), async (req, res) => {
   try {
-    const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
-    const verifyUrl = `https://identitytoolkit.googleapis.com/v1/accounts:lookup?key=${FIREBASE_API_KEY}`;
-
-    const response = await fetch(verifyUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ idToken })
-    });
-
-    const data = await response.json();
-
-    if (!response.ok || !data.users || data.users.length === 0) {
-      console.log(`❌ Token verification failed`);
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
+    const [blocks, users] = await Promise.all([
+      directMessages.blocks(req.user.uid),
+      getUserDirectory()
+    ]);
 
-    const user = data.users[0];
-    console.log(`✅ Token verified for: ${user.email}`);
+    const data = blocks.map(block => ({ ...toPublicUser(block.uid, users[block.uid]), blockedAt: block.blockedAt }));
     res.json({
       success: true,
-      data: {
-        uid: user.localId,
-        email: user.email,
-        emailVerified: user.emailVerified
-      }
+      data,
+      count: data.length
     });
   } catch (error) {
-    console.error('❌ Error verifying token:', error);
+    console.error('❌ Error fetching blocks:', error);
     res.status(500).json({
       success: false,
-      error: 'Token verification failed'
+      error: 'Failed to fetch blocked users'
     });
   }
 });
 
-// POST /api/v1/tracks/:trackId/play - Increment play count for a track
-v1Router.post('/tracks/:trackId/play', async (req, res) => {
-  const { trackId } = req.params;
-  const { uid } = req.body; // Optional: user ID to award OMs
-  console.log(`🎵 POST /api/v1/tracks/${trackId}/play${uid ? ` (user: ${uid})` : ''}`);
+// PUT /api/v1/dm/blocks/:uid - Block a user from messaging you (and you them)
+// DELETE /api/v1/dm/blocks/:uid - Unblock
+async function setDmBlock(req, res, blocked) {
+  const { uid } = req.user;
+  const otherUid = req.params.uid;
+  console.log(`🚫 ${req.method} /api/v1/dm/blocks/${otherUid}`);
 
-  if (!trackId) {
+  if (otherUid === uid) {
     return res.status(400).json({
       success: false,
-      error: 'Track ID is required'
+      error: 'You cannot block yourself'
     });
   }
 
   try {
-    // Get current track data
-    const trackRef = realtimeDb.ref(`tracks/${trackId}`);
-    const snapshot = await trackRef.once('value');
-    const track = snapshot.val();
-
-    if (!track) {
+    if (blocked && !await store.users.get(otherUid)) {
       return res.status(404).json({
         success: false,
-        error: 'Track not found'
+        error: 'User not found'
       });
     }
 
-    // Increment listens_count
-    const currentListens = track.listens_count || 0;
-    const newListens = currentListens + 1;
-
-    await trackRef.update({
-      listens_count: newListens,
-      last_played_at: Date.now()
+    await directMessages.setBlocked(uid, otherUid, blocked);
+    res.json({
+      success: true,
+      data: { uid: otherUid, blocked }
     });
+  } catch (error) {
+    console.error('❌ Error updating block:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update block'
+    });
+  }
+}
 
-    // Award OMs to listener if uid is provided (triggered after 30 seconds of play)
-    let newOms = null;
-    if (uid) {
-      const userRef = realtimeDb.ref(`users/${uid}`);
-      const userSnapshot = await userRef.once('value');
-      const userData = userSnapshot.val();
-
-      if (userData) {
-        const currentOms = userData.oms || 0;
-        newOms = currentOms + 33; // Award 33 OMs per 30 seconds played
+v1Router.put('/dm/blocks/:uid', auth('required'), requireUidParam, (req, res) => setDmBlock(req, res, true));
+v1Router.delete('/dm/blocks/:uid', auth('required'), requireUidParam, (req, res) => setDmBlock(req, res, false));
 
-        await userRef.update({
-          oms: newOms
-        });
+// ========================================
+// PHONE GAMES
+// ========================================
 
-        console.log(`🎮 Awarded 33 OMs to listener ${uid}: ${currentOms} -> ${newOms}`);
-      }
+// Game sessions, score checks, period boards, replays and seasons for every phone game (see games/)
+const phoneGames = createGames(store, omsLedger, {
+  secret: process.env.GAME_TOKEN_SECRET,
+  settings: {
+    floaty: {
+      bonusOms: parseInt(process.env.FLOATY_HIGHSCORE_BONUS_OMS) || 25,
+      seasonDays: parseInt(process.env.FLOATY_SEASON_DAYS) || 0
     }
+  }
+});
 
-    // Award OMs to artist (track owner)
-    let artistNewOms = null;
-    if (track.user_id) {
-      const artistRef = realtimeDb.ref(`users/${track.user_id}`);
-      const artistSnapshot = await artistRef.once('value');
-      const artistData = artistSnapshot.val();
-
-      if (artistData) {
-        const artistCurrentOms = artistData.oms || 0;
-        artistNewOms = artistCurrentOms + 10; // Award 10 OMs to artist per listen
+function sendGameResult(res, result) {
+  if (!result.ok) {
+    const { ok, status, ...body } = result;
+    return res.status(status).json({ success: false, ...body });
+  }
+  res.json({ success: true, data: result.data });
+}
 
-        await artistRef.update({
-          oms: artistNewOms
-        });
+function requireGame(req, res, next) {
+  req.game = phoneGames.get(req.params.gameId);
+  if (!req.game) {
+    return res.status(404).json({
+      success: false,
+      error: 'Game not found'
+    });
+  }
+  next();
+}
 
-        console.log(`🎨 Awarded 10 OMs to artist ${track.user_id}: ${artistCurrentOms} -> ${artistNewOms}`);
-      }
-    }
+// GET /api/v1/games - Registered phone games
+v1Router.get('/games', auth('public'), (req, res) => {
+  res.json({ success: true, data: phoneGames.list() });
+});
 
-    console.log(`✅ Incremented listen count for track ${trackId}: ${currentListens} -> ${newListens}`);
-    res.json({
-      success: true,
-      data: {
-        trackId: trackId,
-        listens_count: newListens,
-        oms: newOms,
-        artistOms: artistNewOms
-      }
-    });
+// POST /api/v1/games/:gameId/sessions - Start a game session (and its seed) before a round
+v1Router.post('/games/:gameId/sessions', auth('required'), requireGame, async (req, res) => {
+  try {
+    sendGameResult(res, await req.game.startGame(req.user.uid));
   } catch (error) {
-    console.error('❌ Error incrementing play count:', error);
+    console.error('Error starting game session:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to increment play count'
+      error: 'Failed to start game session'
     });
   }
 });
 
-// Mount v1 router
-app.use('/api/v1', v1Router);
+// GET /api/v1/games/:gameId/highscores?period=daily|weekly|season|all - Top scores, with the caller's rank when signed in
+v1Router.get('/games/:gameId/highscores', auth('optional'), requireGame, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const period = req.query.period || 'all';
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    sendGameResult(res, await req.game.leaderboard(period, limit, req.user?.uid));
+  } catch (error) {
+    console.error('Error fetching high scores:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch high scores'
+    });
+  }
 });
 
-// 404 handler
-// ==========================================
-// FLOATY GAME HIGH SCORES
-// ==========================================
+// POST /api/v1/games/:gameId/highscores - Submit the score and replay of a finished round
+v1Router.post('/games/:gameId/highscores', auth('required'), requireGame, async (req, res) => {
+  const { token, score, frames, inputs, stats } = req.body || {};
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: 'Game token is required'
+    });
+  }
 
-// Get high scores
-app.get('/api/v1/floaty/highscores', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    sendGameResult(res, await req.game.submit(req.user.uid, { token, score, frames, inputs, stats }));
+  } catch (error) {
+    console.error('Error submitting high score:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit high score'
+    });
+  }
+});
 
-    const highscoresRef = realtimeDb.ref('3d/floaty/highscores');
-    const snapshot = await highscoresRef.orderByChild('score').limitToLast(limit).once('value');
+// POST /api/v1/games/:gameId/highscores/verify - Re-check the replays behind a board's top entries
+v1Router.post('/games/:gameId/highscores/verify', auth('admin'), requireGame, async (req, res) => {
+  const { period = 'all', limit } = req.body || {};
+  console.log(`🔎 POST /api/v1/games/${req.game.id}/highscores/verify (admin: ${req.user.uid}, period: ${period})`);
 
-    const highscores = [];
-    snapshot.forEach((child) => {
-      highscores.push({
-        id: child.key,
-        ...child.val()
-      });
+  try {
+    sendGameResult(res, await req.game.verifyBoard(period, parseInt(limit) || 10));
+  } catch (error) {
+    console.error('Error verifying high scores:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify high scores'
     });
+  }
+});
 
-    // Sort descending by score
-    highscores.sort((a, b) => b.score - a.score);
-
-    res.json({
-      success: true,
-      data: highscores
+// GET /api/v1/games/:gameId/replays/:replayId - Seed and inputs of a board entry's round, for the replay viewer
+v1Router.get('/games/:gameId/replays/:replayId', auth('public'), requireGame, async (req, res) => {
+  try {
+    sendGameResult(res, await req.game.getReplay(req.params.replayId));
+  } catch (error) {
+    console.error('Error fetching replay:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch replay'
     });
+  }
+});
+
+// GET /api/v1/games/:gameId/seasons - Current season and past seasons with their winners
+v1Router.get('/games/:gameId/seasons', auth('public'), requireGame, async (req, res) => {
+  try {
+    sendGameResult(res, await req.game.seasons());
   } catch (error) {
-    console.error('Error fetching high scores:', error);
+    console.error('Error fetching seasons:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch high scores'
+      error: 'Failed to fetch seasons'
     });
   }
 });
 
-// Submit high score
-app.post('/api/v1/floaty/highscores', async (req, res) => {
+// GET /api/v1/games/:gameId/seasons/:seasonId - Final standings of an ended season
+v1Router.get('/games/:gameId/seasons/:seasonId', auth('public'), requireGame, async (req, res) => {
   try {
-    const { score, idToken } = req.body;
+    sendGameResult(res, await req.game.archivedSeason(req.params.seasonId));
+  } catch (error) {
+    console.error('Error fetching season:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch season'
+    });
+  }
+});
 
-    if (!idToken) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required'
-      });
-    }
+// POST /api/v1/games/:gameId/seasons - End the current season now: archive its standings and start the next one
+v1Router.post('/games/:gameId/seasons', auth('admin'), requireGame, async (req, res) => {
+  console.log(`🏁 POST /api/v1/games/${req.game.id}/seasons (admin: ${req.user.uid})`);
 
-    if (typeof score !== 'number' || score < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid score required'
-      });
-    }
+  try {
+    sendGameResult(res, await req.game.endSeason());
+  } catch (error) {
+    console.error('Error ending season:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end season'
+    });
+  }
+});
 
-    // Verify the user
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const uid = decodedToken.uid;
+// ========================================
+// DJ STREAM KEYS
+// ========================================
 
-    // Get user data from Realtime Database
-    const userSnapshot = await realtimeDb.ref(`users/${uid}`).once('value');
-    const userData = userSnapshot.val();
-    const username = userData?.username || userData?.displayName || 'Anonymous';
-    const photoURL = userData?.photoURL || '';
+// RTMP publish keys for multiplayer sessions, bound to the signed-in host (see streamKeys.js)
+const streamKeys = createStreamKeys();
 
-    // Check if user already has a high score
-    const userHighscoreRef = realtimeDb.ref(`3d/floaty/highscores/${uid}`);
-    const existingSnapshot = await userHighscoreRef.once('value');
-    const existingScore = existingSnapshot.val();
+function sendStreamKeyResult(res, result) {
+  if (!result.ok) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error
+    });
+  }
+  res.json({ success: true, data: result.data });
+}
 
-    const isNewHighScore = !existingScore || score > existingScore.score;
+// GET /api/v1/stream-keys/:sessionCode - Stream name, whether a key is active and the last rejected publish (host only)
+v1Router.get('/stream-keys/:sessionCode', auth('required'), (req, res) => {
+  sendStreamKeyResult(res, streamKeys.status(req.params.sessionCode, req.user.uid));
+});
 
-    // Always update with new score (to update timestamp)
-    await userHighscoreRef.set({
-      username: username,
-      photoURL: photoURL,
-      score: isNewHighScore ? score : existingScore.score, // Keep highest score
-      timestamp: Date.now(),
-      uid: uid
-    });
+// POST /api/v1/stream-keys/:sessionCode - Issue a new stream key; a stream published with the old one is cut off (host only)
+v1Router.post('/stream-keys/:sessionCode', auth('required'), (req, res) => {
+  const result = streamKeys.issue(req.params.sessionCode, req.user.uid);
+  if (result.ok) {
+    stopDJPublish(req.params.sessionCode, 'stream key rotated');
+    console.log(`🔑 Stream key issued for session ${req.params.sessionCode}`);
+  }
+  sendStreamKeyResult(res, result);
+});
 
-    res.json({
-      success: true,
-      data: {
-        score: isNewHighScore ? score : existingScore.score,
-        isNewHighScore: isNewHighScore
-      }
-    });
-  } catch (error) {
-    console.error('Error submitting high score:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to submit high score'
-    });
+// DELETE /api/v1/stream-keys/:sessionCode - Revoke the stream key and cut off a live stream (host only)
+v1Router.delete('/stream-keys/:sessionCode', auth('required'), (req, res) => {
+  const result = streamKeys.revoke(req.params.sessionCode, req.user.uid);
+  if (result.ok) {
+    stopDJPublish(req.params.sessionCode, 'stream key revoked');
+    console.log(`🔑 Stream key revoked for session ${req.params.sessionCode}`);
   }
+  sendStreamKeyResult(res, result);
+});
+
+// Mount v1 router
+app.use('/api/v1', v1Router);
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// 404 handler
 app.use((req, res) => {
   res.status(404).json({
     success: false,
@@ -1089,149 +3400,121 @@ nms.run();
 
 console.log('📹 RTMP Server running on port 1935');
 console.log('🔑 OBS Stream URL: rtmp://YOUR_IP:1935/live');
-console.log('🔑 Stream Key: Use your session code (e.g., ABC123)');
+console.log('🔑 Stream Key: issued to signed-in hosts from the multiplayer app ("<streamName>?key=<key>")');
 
 // Store active DJ streams
-const activeDJStreams = new Map(); // { sessionCode: { active: true, listeners: [] } }
+const activeDJStreams = new Map(); // { streamName: { active: true, startTime, sessionCode, publisher } }
 
-// Handle RTMP stream events
-nms.on('prePublish', (id, StreamPath, args) => {
-  // Extract streamPath from session object
-  const streamPath = id.streamPath;
-
-  if (!streamPath) {
-    console.log('⚠️ prePublish event received without streamPath');
-    return;
+// Send a message to a multiplayer session's host and spectators
+function broadcastToSession(session, message) {
+  if (session.host.readyState === WebSocket.OPEN) {
+    session.host.send(message);
   }
+  session.players.forEach(player => {
+    if (player.readyState === WebSocket.OPEN) {
+      player.send(message);
+    }
+  });
+}
 
-  const streamKey = streamPath.split('/').pop();
-  console.log('📹 OBS stream starting with key:', streamKey);
-
-  // Verify stream key matches active session
-  if (streamKeyToSession.has(streamKey)) {
-    const sessionCode = streamKeyToSession.get(streamKey);
-    const session = sessions.get(sessionCode);
-
-    if (session) {
-      console.log(`✅ Valid stream key - mapped to session: ${sessionCode}`);
-      activeDJStreams.set(streamKey, { active: true, startTime: Date.now(), sessionCode: sessionCode });
-
-      // Notify all players that DJ stream is live
-      const liveMessage = JSON.stringify({
-        type: 'dj_stream_live',
-        sessionCode: sessionCode,
-        streamKey: streamKey // Include stream key for FLV URL
-      });
-
-      // Notify host
-      if (session.host.readyState === WebSocket.OPEN) {
-        session.host.send(liveMessage);
-      }
+// Turn a publish attempt away and tell the host why, when it was aimed at a live session
+function rejectDJPublish(publisher, streamName, rejection) {
+  console.log(`❌ Rejected stream ${streamName}: ${rejection.reason}`);
+  // end() would keep reading (and relaying) packets until OBS hangs up
+  publisher.socket.destroy();
+
+  const session = rejection.sessionCode && sessions.get(rejection.sessionCode);
+  if (session && session.host.readyState === WebSocket.OPEN) {
+    session.host.send(JSON.stringify({
+      type: 'dj_stream_rejected',
+      sessionCode: rejection.sessionCode,
+      reason: rejection.reason,
+      message: rejection.message
+    }));
+  }
+}
 
-      // Notify all spectators
-      session.players.forEach(player => {
-        if (player.readyState === WebSocket.OPEN) {
-          player.send(liveMessage);
-        }
-      });
+// Cut off a session's live publisher (key rotated or revoked, or the session ended);
+// donePublish then tells the session the stream ended
+function stopDJPublish(sessionCode, why) {
+  const streamName = streamKeys.streamNameOf(sessionCode);
+  const stream = streamName && activeDJStreams.get(streamName);
+  if (!stream) return;
 
-      console.log('🎧 Notified session about DJ stream');
-    } else {
-      console.log('❌ Session not found for stream key - rejecting stream');
-      id.reject();
-    }
-  } else {
-    console.log('❌ Invalid stream key - rejecting stream');
-    id.reject();
-  }
-});
+  console.log(`🛑 Stopping DJ stream of session ${sessionCode}: ${why}`);
+  stream.publisher.socket.destroy();
+}
 
-// postPublish fires AFTER stream is established (has StreamPath)
-nms.on('postPublish', (id, StreamPath, args) => {
-  // Extract streamPath from session object
-  const streamPath = id.streamPath;
+// Handle RTMP stream events (node-media-server passes its session object)
+// prePublish authorizes; a publish it doesn't mark with djSessionCode is ignored below
+nms.on('prePublish', (publisher) => {
+  const streamPath = publisher.streamPath;
 
   if (!streamPath) {
-    console.log('⚠️ postPublish event received without streamPath');
+    console.log('⚠️ prePublish event received without streamPath');
     return;
   }
 
-  const streamKey = streamPath.split('/').pop();
-  console.log('📹 OBS stream connected with key:', streamKey);
+  const streamName = streamPath.split('/').pop();
+  console.log('📹 OBS stream starting:', streamName);
 
-  // Verify stream key matches active session
-  if (streamKeyToSession.has(streamKey)) {
-    const sessionCode = streamKeyToSession.get(streamKey);
-    const session = sessions.get(sessionCode);
+  // OBS stream key: <streamName>?key=<key>
+  let result = streamKeys.authorize(streamName, publisher.streamQuery?.key);
+  if (result.ok && activeDJStreams.has(streamName)) {
+    result = streamKeys.reject(result.sessionCode, 'already_live');
+  }
+  if (!result.ok) {
+    rejectDJPublish(publisher, streamName, result);
+    return;
+  }
 
-    if (session) {
-      console.log(`✅ Valid stream key - mapped to session: ${sessionCode}`);
-      activeDJStreams.set(streamKey, { active: true, startTime: Date.now(), sessionCode: sessionCode });
+  publisher.djSessionCode = result.sessionCode;
+  console.log(`✅ Valid stream key - mapped to session: ${result.sessionCode} (host: ${result.uid})`);
+});
 
-      // Notify all players that DJ stream is live
-      const liveMessage = JSON.stringify({
-        type: 'dj_stream_live',
-        sessionCode: sessionCode,
-        streamKey: streamKey // Include stream key for FLV URL
-      });
+// postPublish fires AFTER stream is established
+nms.on('postPublish', (publisher) => {
+  const sessionCode = publisher.djSessionCode;
+  const session = sessionCode && sessions.get(sessionCode);
+  if (!session) return;
 
-      // Notify host
-      if (session.host.readyState === WebSocket.OPEN) {
-        session.host.send(liveMessage);
-      }
+  const streamName = publisher.streamPath.split('/').pop();
+  console.log('📹 OBS stream connected:', streamName);
+  activeDJStreams.set(streamName, { active: true, startTime: Date.now(), sessionCode: sessionCode, publisher });
 
-      // Notify all spectators
-      session.players.forEach(player => {
-        if (player.readyState === WebSocket.OPEN) {
-          player.send(liveMessage);
-        }
-      });
+  // Notify host and spectators that DJ stream is live
+  broadcastToSession(session, JSON.stringify({
+    type: 'dj_stream_live',
+    sessionCode: sessionCode,
+    streamName: streamName // Public name for the FLV URL (never the key)
+  }));
 
-      console.log('🎧 Notified session about DJ stream');
-    }
-  }
+  console.log('🎧 Notified session about DJ stream');
 });
 
-nms.on('donePublish', (id, StreamPath, args) => {
-  // Extract streamPath from session object
-  const streamPath = id.streamPath;
+nms.on('donePublish', (publisher) => {
+  const sessionCode = publisher.djSessionCode;
+  if (!sessionCode) return;
 
-  if (!streamPath) {
-    console.log('⚠️ donePublish event received without streamPath');
-    return;
+  const streamName = publisher.streamPath.split('/').pop();
+  console.log('📹 OBS stream ended:', streamName);
+  if (activeDJStreams.get(streamName)?.publisher === publisher) {
+    activeDJStreams.delete(streamName);
   }
 
-  const streamKey = streamPath.split('/').pop();
-  console.log('📹 OBS stream ended:', streamKey);
-
-  // Get session code from stream key
-  const sessionCode = streamKeyToSession.get(streamKey);
-  activeDJStreams.delete(streamKey);
-
   // Notify session that stream ended
-  if (sessionCode && sessions.has(sessionCode)) {
-    const session = sessions.get(sessionCode);
-    const endMessage = JSON.stringify({
+  if (sessions.has(sessionCode)) {
+    broadcastToSession(sessions.get(sessionCode), JSON.stringify({
       type: 'dj_stream_ended',
       sessionCode: sessionCode
-    });
-
-    if (session.host.readyState === WebSocket.OPEN) {
-      session.host.send(endMessage);
-    }
-
-    session.players.forEach(player => {
-      if (player.readyState === WebSocket.OPEN) {
-        player.send(endMessage);
-      }
-    });
+    }));
 
     console.log(`🛑 Notified session ${sessionCode} that DJ stream ended`);
   }
 });
 
 // Note: HTTP-FLV streaming handled by node-media-server on port 8888
-// Clients will connect directly to http://localhost:8888/live/{streamKey}.flv
+// Clients will connect directly to http://localhost:8888/live/{streamName}.flv
 // WebSocket only used for signaling (stream start/end notifications)
 
 // Start server (only in development, not on Vercel)
@@ -1244,6 +3527,10 @@ const wss = new WebSocket.Server({ server });
 // Store active sessions: { sessionCode: { host: ws, players: [ws], hostData: {} } }
 const sessions = new Map();
 
+// Messages a host sends while its session is still being created (credentials are checked
+// first) wait for it, up to this many
+const MAX_PENDING_HOST_MESSAGES = 200;
+
 // Generate random 6-character session code
 function generateSessionCode() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -1254,19 +3541,6 @@ function generateSessionCode() {
   return code;
 }
 
-// Generate random stream key (longer and more secure than session code)
-function generateStreamKey() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let key = '';
-  for (let i = 0; i < 32; i++) {
-    key += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return key;
-}
-
-// Map stream keys to session codes
-const streamKeyToSession = new Map();
-
 wss.on('connection', (ws, req) => {
   const clientIp = req.socket.remoteAddress;
   console.log('🌐 New WebSocket connection from:', clientIp);
@@ -1275,10 +3549,19 @@ wss.on('connection', (ws, req) => {
   ws.sessionCode = null;
   ws.isHost = false;
   ws.playerData = null;
+  // Cookie sessions can only be read from the handshake
+  ws.cookieHeader = req.headers.cookie || null;
+  ws.hostPending = false;
+  ws.pendingMessages = [];
 
-  ws.on('message', (message) => {
+  const onMessage = (message) => {
     try {
       const data = JSON.parse(message);
+      // track_info, audio_* etc. usually follow host right away; replayed once the session exists
+      if (ws.hostPending && data.type !== 'host') {
+        if (ws.pendingMessages.length < MAX_PENDING_HOST_MESSAGES) ws.pendingMessages.push(message);
+        return;
+      }
       // Only log non-frequent messages (exclude position updates)
       if (data.type !== 'position_update' && data.type !== 'spectator_position') {
         console.log('📨 Received message:', data.type);
@@ -1286,42 +3569,18 @@ wss.on('connection', (ws, req) => {
 
       switch (data.type) {
         case 'host':
-          // Generate unique session code
-          let sessionCode;
-          do {
-            sessionCode = generateSessionCode();
-          } while (sessions.has(sessionCode));
-
-          // Generate unique stream key
-          let streamKey;
-          do {
-            streamKey = generateStreamKey();
-          } while (streamKeyToSession.has(streamKey));
-
-          ws.sessionCode = sessionCode;
-          ws.isHost = true;
-          ws.playerData = data.playerData || {};
-          ws.customization = data.customization || {}; // Store host customization
-
-          // Store session with stream key
-          sessions.set(sessionCode, {
-            host: ws,
-            players: [],
-            hostData: ws.playerData,
-            customization: ws.customization, // Include in session data
-            streamKey: streamKey // Store stream key in session
+          // A repeated host, while the first is being set up or its session is open, would open
+          // a second session and stream key
+          if (ws.hostPending || (ws.isHost && sessions.has(ws.sessionCode))) break;
+          ws.hostPending = true;
+          hostSession(ws, data).catch(error => {
+            console.error('❌ Host session error:', error);
+          }).finally(() => {
+            ws.hostPending = false;
+            const pending = ws.pendingMessages;
+            ws.pendingMessages = [];
+            pending.forEach(onMessage);
           });
-
-          // Map stream key to session code
-          streamKeyToSession.set(streamKey, sessionCode);
-
-          console.log(`🎮 Session created: ${sessionCode}`);
-          console.log(`🔑 Stream key generated: ${streamKey}`);
-          ws.send(JSON.stringify({
-            type: 'session_created',
-            sessionCode: sessionCode,
-            streamKey: streamKey // Send stream key to host
-          }));
           break;
 
         case 'join':
@@ -1339,6 +3598,10 @@ wss.on('connection', (ws, req) => {
           ws.sessionCode = joinCode;
           ws.isHost = false;
           ws.playerData = data.playerData || {};
+          // Signed-in spectators can show the session in their chat presence
+          ws.uidReady = resolveSocketUid(ws, data).then(uid => {
+            ws.uid = uid;
+          });
 
           // Generate unique spectator ID (using socket internal ID or timestamp-based)
           ws.spectatorId = `spectator_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -1367,18 +3630,15 @@ wss.on('connection', (ws, req) => {
 
           // Check if there's an active DJ stream for this session
           // If so, notify the late joiner
-          if (session.streamKey) {
-            // Check if this stream key has an active stream
-            if (activeDJStreams.has(session.streamKey)) {
-              const streamInfo = activeDJStreams.get(session.streamKey);
-              if (streamInfo.active) {
-                console.log(`🎧 Late joiner detected - sending DJ stream info to ${ws.spectatorId}`);
-                ws.send(JSON.stringify({
-                  type: 'dj_stream_live',
-                  sessionCode: joinCode,
-                  streamKey: session.streamKey
-                }));
-              }
+          if (activeDJStreams.has(session.streamName)) {
+            const streamInfo = activeDJStreams.get(session.streamName);
+            if (streamInfo.active) {
+              console.log(`🎧 Late joiner detected - sending DJ stream info to ${ws.spectatorId}`);
+              ws.send(JSON.stringify({
+                type: 'dj_stream_live',
+                sessionCode: joinCode,
+                streamName: session.streamName
+              }));
             }
           }
 
@@ -1818,6 +4078,25 @@ wss.on('connection', (ws, req) => {
           }
           break;
 
+        case 'global_chat_subscribe':
+          subscribeGlobalChat(ws, data).catch(error => {
+            console.error('❌ Global chat subscribe error:', error);
+          });
+          break;
+
+        case 'global_chat_unsubscribe':
+          chatHub.unsubscribe(ws);
+          break;
+
+        case 'global_chat_activity':
+          if (!ws.chatUid) break;
+          resolveChatActivity(ws.chatUid, data).then(activity => {
+            chatHub.setActivity(ws, activity);
+          }).catch(error => {
+            console.error('❌ Global chat activity error:', error);
+          });
+          break;
+
         case 'disconnect':
           handleDisconnect(ws);
           break;
@@ -1825,11 +4104,14 @@ wss.on('connection', (ws, req) => {
     } catch (error) {
       console.error('❌ WebSocket message error:', error);
     }
-  });
+  };
+
+  ws.on('message', onMessage);
 
   ws.on('close', () => {
     console.log('🔌 WebSocket disconnected');
     handleDisconnect(ws);
+    chatHub.unsubscribe(ws);
   });
 
   ws.on('error', (error) => {
@@ -1837,6 +4119,79 @@ wss.on('connection', (ws, req) => {
   });
 });
 
+// Sessions hosted by a signed-in user (same credentials as global_chat_subscribe) are bound to
+// their uid, which is what lets the host get a stream key for OBS. Signed-out hosts can still
+// host, just not stream.
+async function hostSession(ws, data) {
+  const hostUid = await resolveSocketUid(ws, data);
+  // Closed while the credentials were checked
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  // Generate unique session code
+  let sessionCode;
+  do {
+    sessionCode = generateSessionCode();
+  } while (sessions.has(sessionCode));
+
+  ws.sessionCode = sessionCode;
+  ws.isHost = true;
+  ws.uid = hostUid;
+  ws.playerData = data.playerData || {};
+  ws.customization = data.customization || {}; // Store host customization
+
+  // Public stream name for spectators; the publish key is fetched over the API
+  const streamName = streamKeys.open(sessionCode, hostUid);
+  sessions.set(sessionCode, {
+    host: ws,
+    hostUid: hostUid,
+    players: [],
+    hostData: ws.playerData,
+    customization: ws.customization, // Include in session data
+    streamName: streamName
+  });
+
+  console.log(`🎮 Session created: ${sessionCode}${hostUid ? ` (host: ${hostUid})` : ''}`);
+  ws.send(JSON.stringify({
+    type: 'session_created',
+    sessionCode: sessionCode,
+    streamName: streamName,
+    canStream: Boolean(hostUid) // Whether GET/POST /api/v1/stream-keys/:sessionCode will work
+  }));
+}
+
+// Resolves a socket message's credentials to a uid, or null when missing or invalid
+async function resolveSocketUid(ws, data) {
+  try {
+    if (data.session === true) {
+      const session = await authSessions.resolve(ws.cookieHeader);
+      if (!session || !authSessions.verifyCsrfToken(session, data.csrfToken)) return null;
+      return session.uid;
+    }
+    if (!data.token) return null;
+    return (await store.auth.verifyIdToken(data.token)).uid;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Token clients send their ID token; cookie clients send { session: true, csrfToken } and the
+// token comes from the handshake's cookie session (the CSRF token stops other sites from
+// opening sockets as the user)
+async function subscribeGlobalChat(ws, data) {
+  if (data.session !== true) {
+    return chatHub.subscribe(ws, data.token);
+  }
+
+  const session = await authSessions.resolve(ws.cookieHeader);
+  if (!session || !authSessions.verifyCsrfToken(session, data.csrfToken)) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'global_chat_error', error: 'Invalid or expired session' }));
+    }
+    return;
+  }
+  return chatHub.subscribe(ws, session.idToken);
+}
+
 function handleDisconnect(ws) {
   if (!ws.sessionCode) return;
 
@@ -1856,13 +4211,13 @@ function handleDisconnect(ws) {
       }
     });
 
-    // Clean up stream key mapping
-    if (session.streamKey) {
-      streamKeyToSession.delete(session.streamKey);
-      console.log(`🔑 Cleaned up stream key mapping for session: ${ws.sessionCode}`);
-    }
+    // Stream keys expire with the session
+    stopDJPublish(ws.sessionCode, 'session closed');
+    streamKeys.close(ws.sessionCode);
+    console.log(`🔑 Stream key expired for session: ${ws.sessionCode}`);
 
     sessions.delete(ws.sessionCode);
+    chatHub.endSession(ws.sessionCode);
   } else {
     // Player disconnected
     const index = session.players.indexOf(ws);
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// Cookie sessions: an alternative to keeping ID/refresh tokens in the browser
+// The browser only holds an opaque httpOnly cookie; the tokens stay server-side in
+// authSessions/<sha256(session id)> = { uid, email, idToken, refreshToken, idTokenExpiresAt,
+//                                       csrfToken, createdAt, expiresAt }
+// and the ID token is refreshed here shortly before it expires.
+//
+// Cookies are sent by the browser automatically, so requests authenticated by the cookie
+// must prove they come from our page: mutating requests carry the session's CSRF token in
+// the X-CSRF-Token header (handed out at login and by GET /auth/verify).
+
+const COOKIE_NAME = 'sublair_session';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Refresh the ID token when it has less than this left
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    const name = pair.slice(0, index).trim();
+    if (!name || name in cookies) return;
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // Malformed value, ignore the cookie
+    }
+  });
+  return cookies;
+}
+
+function hashSessionId(id) {
+  return crypto.createHash('sha256').update(id).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function createAuthSessions(store, options = {}) {
+  const maxAgeMs = (options.maxAgeDays || 30) * 24 * 60 * 60 * 1000;
+  const cookieOptions = {
+    httpOnly: true,
+    secure: options.secure !== false,
+    sameSite: 'lax',
+    path: '/'
+  };
+  // Session key -> pending refresh, so parallel requests share one token refresh
+  const refreshing = new Map();
+
+  // Starts a session for a successful sign-in ({ idToken, refreshToken, expiresIn, localId, email })
+  // and sets the cookie. Resolves to the session's CSRF token.
+  async function create(res, signIn) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    const csrfToken = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+
+    await store.authSessions.set(hashSessionId(id), {
+      uid: signIn.localId,
+      email: signIn.email || null,
+      idToken: signIn.idToken,
+      refreshToken: signIn.refreshToken,
+      idTokenExpiresAt: now + parseInt(signIn.expiresIn, 10) * 1000,
+      csrfToken,
+      createdAt: now,
+      expiresAt: now + maxAgeMs
+    });
+
+    res.cookie(COOKIE_NAME, id, { ...cookieOptions, maxAge: maxAgeMs });
+    return csrfToken;
+  }
+
+  async function refresh(key, session) {
+    const refreshed = await store.auth.refreshIdToken(session.refreshToken);
+    if (!refreshed.ok) {
+      console.log(`🍪 Session refresh failed for ${session.uid}: ${refreshed.error}`);
+      await store.authSessions.remove(key);
+      return null;
+    }
+
+    const patch = {
+      idToken: refreshed.data.idToken,
+      refreshToken: refreshed.data.refreshToken || session.refreshToken,
+      idTokenExpiresAt: Date.now() + parseInt(refreshed.data.expiresIn, 10) * 1000
+    };
+    await store.authSessions.update(key, patch);
+    return { ...session, ...patch };
+  }
+
+  // Resolves to the session behind a Cookie header, with a fresh ID token, or null
+  async function resolve(cookieHeader) {
+    const id = parseCookies(cookieHeader)[COOKIE_NAME];
+    if (!id) return null;
+
+    const key = hashSessionId(id);
+    const session = await store.authSessions.get(key);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      await store.authSessions.remove(key);
+      return null;
+    }
+
+    if (session.idTokenExpiresAt - Date.now() > REFRESH_MARGIN_MS) {
+      return { key, ...session };
+    }
+
+    if (!refreshing.has(key)) {
+      refreshing.set(key, refresh(key, session).finally(() => refreshing.delete(key)));
+    }
+    const refreshed = await refreshing.get(key);
+    return refreshed ? { key, ...refreshed } : null;
+  }
+
+  function verifyCsrfToken(session, token) {
+    return safeEqual(token, session.csrfToken);
+  }
+
+  // Whether a cookie-authenticated request may go ahead
+  function checkCsrf(req, session) {
+    return SAFE_METHODS.includes(req.method) || verifyCsrfToken(session, req.headers[CSRF_HEADER]);
+  }
+
+  // Ends the request's session (if any) and clears the cookie
+  async function destroy(req, res) {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!id) return;
+    await store.authSessions.remove(hashSessionId(id));
+    res.clearCookie(COOKIE_NAME, cookieOptions);
+  }
+
+  return {
+    create,
+    resolve,
+    checkCsrf,
+    verifyCsrfToken,
+    destroy
+  };
+}
+
+module.exports = { createAuthSessions };
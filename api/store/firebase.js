@@ -0,0 +1,575 @@
+const fetch = require('node-fetch');
+
+// Emojis someone still reacts with (removed reactions can leave an empty map behind)
+function reactionKinds(reactions) {
+  return Object.keys(reactions).filter(emoji => Object.keys(reactions[emoji] || {}).length > 0);
+}
+
+// Firebase-backed store: Realtime Database for tracks/users/presence/projects/highscores,
+// Firestore for chat messages, Firebase Auth (Admin SDK + Identity Toolkit REST) for tokens,
+// Cloud Storage for uploaded project files
+function createFirebaseStore(admin) {
+  const db = admin.firestore();
+  const realtimeDb = admin.database();
+  const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
+
+  async function read(refPath) {
+    const snapshot = await realtimeDb.ref(refPath).once('value');
+    return snapshot.val();
+  }
+
+  // Atomic read-modify-write on one location. updateFn may run several times and is
+  // first called with the locally cached value (often null); returning undefined aborts.
+  // Resolves to { committed, value }
+  async function transaction(refPath, updateFn) {
+    const result = await realtimeDb.ref(refPath).transaction(updateFn);
+    return { committed: result.committed, value: result.snapshot.val() };
+  }
+
+  return {
+    name: 'firebase',
+
+    tracks: {
+      list: () => read('tracks'),
+      get: (id) => read(`tracks/${id}`),
+      update: (id, patch) => realtimeDb.ref(`tracks/${id}`).update(patch),
+
+      // Resolves to the new listens_count
+      async incrementListens(id) {
+        const { value } = await transaction(`tracks/${id}/listens_count`, (count) => (count || 0) + 1);
+        await realtimeDb.ref(`tracks/${id}`).update({ last_played_at: Date.now() });
+        return value;
+      }
+    },
+
+    users: {
+      list: () => read('users'),
+      get: (uid) => read(`users/${uid}`),
+      update: (uid, patch) => realtimeDb.ref(`users/${uid}`).update(patch),
+
+      // Username index: usernames/<lowercase username> = uid
+      getUsernameOwner: (key) => read(`usernames/${key}`),
+
+      // Resolves to whether uid now owns the username
+      async claimUsername(key, uid) {
+        const { committed } = await transaction(`usernames/${key}`, (owner) => (
+          owner === null || owner === uid ? uid : undefined
+        ));
+        return committed;
+      },
+
+      releaseUsername: (key, uid) => transaction(`usernames/${key}`, (owner) => (
+        owner === uid ? null : undefined
+      ))
+    },
+
+    // Append-only OMs ledger: omsLedger/<uid>/<entryId>
+    oms: {
+      // Appends an entry and applies its amount to users/<uid>/oms in one atomic
+      // multi-path update. Resolves to { id, balance }
+      async record(uid, entry, { applyToBalance = true } = {}) {
+        const id = realtimeDb.ref(`omsLedger/${uid}`).push().key;
+        const updates = {
+          [`omsLedger/${uid}/${id}`]: { ...entry, createdAt: Date.now() }
+        };
+        if (applyToBalance) {
+          updates[`users/${uid}/oms`] = admin.database.ServerValue.increment(entry.amount);
+        }
+        await realtimeDb.ref().update(updates);
+        return { id, balance: await read(`users/${uid}/oms`) };
+      },
+
+      // Newest first, optionally only entries created before a timestamp
+      async history(uid, { limit, before }) {
+        let query = realtimeDb.ref(`omsLedger/${uid}`).orderByChild('createdAt');
+        if (before) {
+          query = query.endAt(before - 1);
+        }
+
+        const snapshot = await query.limitToLast(limit).once('value');
+        const entries = [];
+        snapshot.forEach((child) => {
+          entries.push({ id: child.key, ...child.val() });
+        });
+        return entries.reverse();
+      },
+
+      // { uid: { entryId: entry } }
+      all: () => read('omsLedger'),
+
+      // Sets omsLedgerOpened/<uid> once; resolves to whether this call was the one that set it
+      async markOpened(uid) {
+        const { committed, value } = await transaction(`omsLedgerOpened/${uid}`, (current) => (
+          current ? undefined : true
+        ));
+        return committed && value === true;
+      },
+
+      // Writes balance only if the stored one still equals expected; resolves to whether it did
+      async setBalance(uid, expected, balance) {
+        const { committed, value } = await transaction(`users/${uid}/oms`, (current) => {
+          if ((current || 0) === expected) return balance;
+          // A null first pass is usually just an empty cache: send it so the server retries
+          return current === null ? null : undefined;
+        });
+        return committed && value === balance;
+      }
+    },
+
+    messages: {
+      async add(data) {
+        const docRef = await db.collection('messages').add({
+          ...data,
+          timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return docRef.id;
+      },
+
+      async get(id) {
+        const doc = await db.collection('messages').doc(id).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+      },
+
+      update: (id, patch) => db.collection('messages').doc(id).update(patch),
+      remove: (id) => db.collection('messages').doc(id).delete(),
+
+      // Sets or clears reactions.<emoji>.<uid>; resolves to the message's reactions, or to null
+      // when adding a new emoji would go over maxKinds. Checked in the same transaction as the
+      // write, so concurrent reactions can't push a message past the limit.
+      react(id, emoji, uid, add, maxKinds = Infinity) {
+        const ref = db.collection('messages').doc(id);
+        return db.runTransaction(async (tx) => {
+          const doc = await tx.get(ref);
+          const reactions = (doc.exists && doc.data().reactions) || {};
+          const kinds = reactionKinds(reactions);
+          if (add && !kinds.includes(emoji) && kinds.length >= maxKinds) return null;
+
+          tx.update(
+            ref,
+            new admin.firestore.FieldPath('reactions', emoji, uid),
+            add ? true : admin.firestore.FieldValue.delete()
+          );
+          const reactors = { ...reactions[emoji] };
+          if (add) reactors[uid] = true;
+          else delete reactors[uid];
+          return { ...reactions, [emoji]: reactors };
+        });
+      },
+
+      // Direct replies to a message, oldest first
+      async listReplies(id, { limit }) {
+        const snapshot = await db.collection('messages')
+          .where('replyTo.id', '==', id)
+          .limit(limit)
+          .get();
+
+        const replies = [];
+        snapshot.forEach(doc => {
+          replies.push({ id: doc.id, ...doc.data() });
+        });
+        return replies.sort((a, b) => a.createdAt - b.createdAt);
+      },
+
+      // Newest first, optionally only messages created before a timestamp
+      async list({ limit, before }) {
+        let query = db.collection('messages')
+          .orderBy('createdAt', 'desc')
+          .limit(limit);
+
+        if (before) {
+          query = query.where('createdAt', '<', before);
+        }
+
+        const snapshot = await query.get();
+        const messages = [];
+        snapshot.forEach(doc => {
+          messages.push({ id: doc.id, ...doc.data() });
+        });
+        return messages;
+      }
+    },
+
+    presence: {
+      async set(uid, data) {
+        const ref = realtimeDb.ref(`presence/${uid}`);
+        await ref.set(data);
+
+        // Mark offline if the admin connection drops
+        await ref.onDisconnect().update({
+          status: 'offline',
+          lastSeen: Date.now()
+        });
+      },
+
+      list: () => read('presence')
+    },
+
+    // Per-user notifications (chat mentions): notifications/<uid>/<id>
+    notifications: {
+      async add(uid, data) {
+        const ref = realtimeDb.ref(`notifications/${uid}`).push();
+        await ref.set({ ...data, read: false, createdAt: Date.now() });
+        return ref.key;
+      },
+
+      // Newest first, optionally only notifications created before a timestamp
+      async list(uid, { limit, before }) {
+        let query = realtimeDb.ref(`notifications/${uid}`).orderByChild('createdAt');
+        if (before) {
+          query = query.endAt(before - 1);
+        }
+
+        const snapshot = await query.limitToLast(limit).once('value');
+        const notifications = [];
+        snapshot.forEach((child) => {
+          notifications.push({ id: child.key, ...child.val() });
+        });
+        return notifications.reverse();
+      },
+
+      markRead(uid, ids) {
+        const updates = {};
+        ids.forEach(id => {
+          updates[`notifications/${uid}/${id}/read`] = true;
+        });
+        return realtimeDb.ref().update(updates);
+      }
+    },
+
+    // Direct messages: dm/messages/<conversationId>, dm/inbox/<uid>, dm/blocks/<uid> (see dms.js)
+    dms: {
+      // Appends a message and updates both inboxes in one atomic multi-path update.
+      // Resolves to the message id
+      async addMessage(conversationId, fromUid, toUid, message) {
+        const id = realtimeDb.ref(`dm/messages/${conversationId}`).push().key;
+        const updates = {
+          [`dm/messages/${conversationId}/${id}`]: message
+        };
+        [[fromUid, toUid], [toUid, fromUid]].forEach(([uid, other]) => {
+          updates[`dm/inbox/${uid}/${conversationId}/with`] = other;
+          updates[`dm/inbox/${uid}/${conversationId}/lastMessage`] = message;
+          updates[`dm/inbox/${uid}/${conversationId}/updatedAt`] = message.createdAt;
+        });
+        updates[`dm/inbox/${toUid}/${conversationId}/unread`] = admin.database.ServerValue.increment(1);
+        await realtimeDb.ref().update(updates);
+        return id;
+      },
+
+      // Newest first, optionally only messages created before a timestamp
+      async listMessages(conversationId, { limit, before }) {
+        let query = realtimeDb.ref(`dm/messages/${conversationId}`).orderByChild('createdAt');
+        if (before) {
+          query = query.endAt(before - 1);
+        }
+
+        const snapshot = await query.limitToLast(limit).once('value');
+        const messages = [];
+        snapshot.forEach((child) => {
+          messages.push({ id: child.key, ...child.val() });
+        });
+        return messages.reverse();
+      },
+
+      listInbox: (uid) => read(`dm/inbox/${uid}`),
+      getInboxEntry: (uid, conversationId) => read(`dm/inbox/${uid}/${conversationId}`),
+      markRead: (uid, conversationId) => realtimeDb.ref(`dm/inbox/${uid}/${conversationId}`).update({
+        unread: 0,
+        lastReadAt: Date.now()
+      }),
+
+      getBlock: (uid, blockedUid) => read(`dm/blocks/${uid}/${blockedUid}`),
+      setBlock: (uid, blockedUid, blocked) => realtimeDb.ref(`dm/blocks/${uid}/${blockedUid}`).set(blocked ? Date.now() : null),
+      listBlocks: (uid) => read(`dm/blocks/${uid}`)
+    },
+
+    // Cookie sessions keyed by the hashed session id (see sessions.js)
+    authSessions: {
+      get: (key) => read(`authSessions/${key}`),
+      set: (key, data) => realtimeDb.ref(`authSessions/${key}`).set(data),
+      update: (key, patch) => realtimeDb.ref(`authSessions/${key}`).update(patch),
+      remove: (key) => realtimeDb.ref(`authSessions/${key}`).remove()
+    },
+
+    // Failed-login counters keyed by hashed account or IP (see lockout.js)
+    loginAttempts: {
+      get: (key) => read(`security/loginAttempts/${key}`),
+      update: (key, updateFn) => transaction(`security/loginAttempts/${key}`, updateFn),
+      remove: (key) => realtimeDb.ref(`security/loginAttempts/${key}`).remove()
+    },
+
+    // Listening sessions and per-listener reward ledgers (cooldowns, daily caps)
+    listens: {
+      getSession: (id) => read(`listens/sessions/${id}`),
+      createSession: (id, data) => realtimeDb.ref(`listens/sessions/${id}`).set(data),
+      removeSession: (id) => realtimeDb.ref(`listens/sessions/${id}`).remove(),
+      updateSession: (id, updateFn) => transaction(`listens/sessions/${id}`, updateFn),
+      updateLedger: (key, updateFn) => transaction(`listens/ledger/${key}`, updateFn)
+    },
+
+    // Chat moderation: moderation/{roles,sanctions,reports,filters,log}
+    moderation: {
+      getRole: (uid) => read(`moderation/roles/${uid}`),
+      setRole: (uid, role) => realtimeDb.ref(`moderation/roles/${uid}`).set(role),
+      listRoles: () => read('moderation/roles'),
+
+      getSanction: (uid) => read(`moderation/sanctions/${uid}`),
+      setSanction: (uid, data) => realtimeDb.ref(`moderation/sanctions/${uid}`).set(data),
+      listSanctions: () => read('moderation/sanctions'),
+
+      getReport: (id) => read(`moderation/reports/${id}`),
+      setReport: (id, data) => realtimeDb.ref(`moderation/reports/${id}`).set(data),
+      updateReport: (id, patch) => realtimeDb.ref(`moderation/reports/${id}`).update(patch),
+      listReports: () => read('moderation/reports'),
+
+      getFilters: () => read('moderation/filters'),
+      setFilters: (data) => realtimeDb.ref('moderation/filters').set(data),
+
+      async addLog(entry) {
+        const ref = realtimeDb.ref('moderation/log').push();
+        await ref.set({ ...entry, createdAt: Date.now() });
+        return ref.key;
+      },
+
+      // Newest first, optionally only entries created before a timestamp
+      async listLog({ limit, before }) {
+        let query = realtimeDb.ref('moderation/log').orderByChild('createdAt');
+        if (before) {
+          query = query.endAt(before - 1);
+        }
+
+        const snapshot = await query.limitToLast(limit).once('value');
+        const entries = [];
+        snapshot.forEach((child) => {
+          entries.push({ id: child.key, ...child.val() });
+        });
+        return entries.reverse();
+      }
+    },
+
+    // DEEPWAVES projects, the uploads staged for their next commit and invite links (see projects.js)
+    projects: {
+      list: () => read('projects'),
+      get: (id) => read(`projects/${id}`),
+
+      async create(data) {
+        const ref = realtimeDb.ref('projects').push();
+        await ref.set(data);
+        return ref.key;
+      },
+
+      update: (id, patch) => realtimeDb.ref(`projects/${id}`).update(patch),
+      transaction: (id, updateFn) => transaction(`projects/${id}`, updateFn),
+      remove: (id) => realtimeDb.ref(`projects/${id}`).remove(),
+
+      getUpload: (id, uploadId) => read(`projectUploads/${id}/${uploadId}`),
+      setUpload: (id, uploadId, data) => realtimeDb.ref(`projectUploads/${id}/${uploadId}`).set(data),
+      // Removes a staged upload and resolves to it, or to null if it's already gone. Always
+      // writes null, so a null first pass (empty cache) goes to the server and is retried.
+      async claimUpload(id, uploadId) {
+        let claimed = null;
+        const { committed } = await transaction(`projectUploads/${id}/${uploadId}`, (current) => {
+          claimed = current;
+          return null;
+        });
+        return committed ? claimed : null;
+      },
+      removeUploads: (id) => realtimeDb.ref(`projectUploads/${id}`).remove(),
+
+      // null removes the collaborator
+      setCollaborator: (id, uid, data) => realtimeDb.ref(`projects/${id}/collaborators/${uid}`).set(data),
+
+      getInvite: (id, inviteId) => read(`projectInvites/${id}/${inviteId}`),
+      setInvite: (id, inviteId, data) => realtimeDb.ref(`projectInvites/${id}/${inviteId}`).set(data),
+      removeInvite: (id, inviteId) => realtimeDb.ref(`projectInvites/${id}/${inviteId}`).remove(),
+      listInvites: (id) => read(`projectInvites/${id}`),
+      removeInvites: (id) => realtimeDb.ref(`projectInvites/${id}`).remove()
+    },
+
+    // Audio analysis results (see analysis.js): tracks/<trackId>, projects/<projectId>/<versionId>
+    analysis: {
+      get: (key) => read(`audioAnalysis/${key}`),
+      set: (key, data) => realtimeDb.ref(`audioAnalysis/${key}`).set(data),
+      remove: (key) => realtimeDb.ref(`audioAnalysis/${key}`).remove()
+    },
+
+    // Uploaded files in the default Cloud Storage bucket (FIREBASE_STORAGE_BUCKET). They get no
+    // download token, so they can only be read through the API (see files.open)
+    files: {
+      async save(filePath, buffer, contentType) {
+        const bucket = admin.storage().bucket();
+        await bucket.file(filePath).save(buffer, {
+          resumable: false,
+          metadata: { contentType }
+        });
+        return { url: `gs://${bucket.name}/${filePath}` };
+      },
+
+      open: (filePath) => admin.storage().bucket().file(filePath).createReadStream(),
+
+      removeAll: (prefix) => admin.storage().bucket().deleteFiles({ prefix })
+    },
+
+    // Phone games: 3d/<gameId>/{sessions,highscores,seasons,daily,weekly,replays,season,archive}
+    games: {
+      setSession: (gameId, uid, data) => realtimeDb.ref(`3d/${gameId}/sessions/${uid}`).set(data),
+      updateSession: (gameId, uid, updateFn) => transaction(`3d/${gameId}/sessions/${uid}`, updateFn),
+
+      // board: 'highscores' (all time), 'seasons/<id>', 'daily/<day>' or 'weekly/<week>'
+      getEntry: (gameId, board, uid) => read(`3d/${gameId}/${board}/${uid}`),
+      updateEntry: (gameId, board, uid, updateFn) => transaction(`3d/${gameId}/${board}/${uid}`, updateFn),
+
+      // Top N entries (unordered)
+      async top(gameId, board, limit) {
+        const snapshot = await realtimeDb.ref(`3d/${gameId}/${board}`)
+          .orderByChild('score')
+          .limitToLast(limit)
+          .once('value');
+
+        const entries = [];
+        snapshot.forEach((child) => {
+          entries.push({ id: child.key, ...child.val() });
+        });
+        return entries;
+      },
+
+      // Number of entries with a higher score
+      async countAbove(gameId, board, score) {
+        const snapshot = await realtimeDb.ref(`3d/${gameId}/${board}`)
+          .orderByChild('score')
+          .startAfter(score)
+          .once('value');
+        return snapshot.numChildren();
+      },
+
+      getSeason: (gameId) => read(`3d/${gameId}/season`),
+      updateSeason: (gameId, updateFn) => transaction(`3d/${gameId}/season`, updateFn),
+      getReplay: (gameId, board, uid) => read(`3d/${gameId}/replays/${board}/${uid}`),
+      setReplay: (gameId, board, uid, data) => realtimeDb.ref(`3d/${gameId}/replays/${board}/${uid}`).set(data),
+
+      getArchive: (gameId, seasonId) => read(`3d/${gameId}/archive/${seasonId}`),
+      setArchive: (gameId, seasonId, data) => realtimeDb.ref(`3d/${gameId}/archive/${seasonId}`).set(data),
+      listArchives: (gameId) => read(`3d/${gameId}/archive`)
+    },
+
+    auth: {
+      // Resolves to the decoded token ({ uid, email, ... }), rejects if invalid
+      verifyIdToken: (idToken) => admin.auth().verifyIdToken(idToken),
+
+      // Resolves to { ok, data } mirroring the Identity Toolkit response
+      async signInWithPassword(email, password) {
+        const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${FIREBASE_API_KEY}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            email,
+            password,
+            returnSecureToken: true
+          })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          return { ok: false, error: data.error?.message };
+        }
+
+        return {
+          ok: true,
+          data: {
+            idToken: data.idToken,
+            refreshToken: data.refreshToken,
+            expiresIn: data.expiresIn,
+            localId: data.localId,
+            email: data.email
+          }
+        };
+      },
+
+      async refreshIdToken(refreshToken) {
+        const response = await fetch(`https://securetoken.googleapis.com/v1/token?key=${FIREBASE_API_KEY}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+          })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          return { ok: false, error: data.error?.message };
+        }
+
+        return {
+          ok: true,
+          data: {
+            idToken: data.id_token,
+            refreshToken: data.refresh_token,
+            expiresIn: data.expires_in
+          }
+        };
+      },
+
+      // Resolves to { ok, data } shaped like signInWithPassword
+      async signUp(email, password) {
+        const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:signUp?key=${FIREBASE_API_KEY}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            email,
+            password,
+            returnSecureToken: true
+          })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          return { ok: false, error: data.error?.message };
+        }
+
+        return {
+          ok: true,
+          data: {
+            idToken: data.idToken,
+            refreshToken: data.refreshToken,
+            expiresIn: data.expiresIn,
+            localId: data.localId,
+            email: data.email
+          }
+        };
+      },
+
+      deleteAccount: (uid) => admin.auth().deleteUser(uid),
+
+      // Firebase emails the user a link carrying the reset code (oobCode)
+      async sendPasswordReset(email) {
+        const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:sendOobCode?key=${FIREBASE_API_KEY}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            requestType: 'PASSWORD_RESET',
+            email
+          })
+        });
+        const data = await response.json();
+
+        return response.ok ? { ok: true } : { ok: false, error: data.error?.message };
+      },
+
+      async confirmPasswordReset(code, password) {
+        const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:resetPassword?key=${FIREBASE_API_KEY}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            oobCode: code,
+            newPassword: password
+          })
+        });
+        const data = await response.json();
+
+        return response.ok ? { ok: true } : { ok: false, error: data.error?.message };
+      }
+    }
+  };
+}
+
+module.exports = { createFirebaseStore };
@@ -0,0 +1,36 @@
+const path = require('path');
+const { createFirebaseStore } = require('./firebase');
+const { createLocalStore } = require('./local');
+
+// Data store selection
+// DATA_STORE=firebase (default) - Firebase Realtime Database + Firestore
+// DATA_STORE=memory             - in-process store seeded from seed.json, lost on restart
+//                                 (uploaded files go to the OS temp directory)
+// DATA_STORE=file               - same as memory, persisted to DATA_STORE_FILE, uploads next to it
+function createStore(admin) {
+  const kind = (process.env.DATA_STORE || 'firebase').toLowerCase();
+
+  switch (kind) {
+    case 'firebase':
+      return createFirebaseStore(admin);
+
+    case 'memory':
+      return createLocalStore({
+        seedFile: path.join(__dirname, 'seed.json')
+      });
+
+    case 'file': {
+      const file = process.env.DATA_STORE_FILE || path.join(__dirname, '..', '.data', 'store.json');
+      return createLocalStore({
+        file,
+        uploadDir: path.join(path.dirname(file), 'uploads'),
+        seedFile: path.join(__dirname, 'seed.json')
+      });
+    }
+
+    default:
+      throw new Error(`Unknown DATA_STORE "${kind}" (expected firebase, memory or file)`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,526 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createSigner } = require('../tokens');
+
+const TOKEN_TTL_SECONDS = 3600;
+const RESET_CODE_TTL_MS = 60 * 60 * 1000;
+// Path segments that would reach Object.prototype instead of a child (ids and emoji keys can
+// come from clients); refused like Firebase refuses keys it can't store
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Emojis someone still reacts with (removed reactions can leave an empty map behind)
+function reactionKinds(reactions) {
+  return Object.keys(reactions).filter(emoji => Object.keys(reactions[emoji] || {}).length > 0);
+}
+
+// Local store for offline development: a single JSON tree shaped like the
+// Realtime Database, optionally persisted to a file.
+// Auth is emulated with HMAC-signed tokens and scrypt password hashes kept
+// under /accounts, so the login flow works without Firebase.
+function createLocalStore(options = {}) {
+  const file = options.file || null;
+  const uploadDir = options.uploadDir || path.join(os.tmpdir(), 'sublair-uploads');
+  const { sign, verify } = createSigner(process.env.LOCAL_AUTH_SECRET);
+  let tree = load();
+  let saveTimer = null;
+
+  function load() {
+    if (file && fs.existsSync(file)) {
+      console.log(`💾 Loading local store from ${file}`);
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    if (options.seedFile && fs.existsSync(options.seedFile)) {
+      console.log(`🌱 Seeding local store from ${path.basename(options.seedFile)}`);
+      return JSON.parse(fs.readFileSync(options.seedFile, 'utf8'));
+    }
+    return {};
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(tree, null, 2));
+  }
+
+  // Debounce writes so bursts of updates hit the disk once
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, 100);
+  }
+
+  if (file) {
+    process.on('exit', () => {
+      if (saveTimer) save();
+    });
+  }
+
+  function clone(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  function segments(refPath) {
+    const keys = refPath.split('/').filter(Boolean);
+    if (keys.some(key => FORBIDDEN_KEYS.includes(key))) {
+      throw new Error(`Invalid store path: ${refPath}`);
+    }
+    return keys;
+  }
+
+  function read(refPath) {
+    let node = tree;
+    for (const key of segments(refPath)) {
+      if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, key)) return null;
+      node = node[key];
+    }
+    return clone(node);
+  }
+
+  function write(refPath, value) {
+    const keys = segments(refPath);
+    const last = keys.pop();
+    let node = tree;
+    for (const key of keys) {
+      if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+    }
+    if (value === null || value === undefined) {
+      delete node[last];
+    } else {
+      node[last] = clone(value);
+    }
+    scheduleSave();
+  }
+
+  function update(refPath, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      write(`${refPath}/${key}`, value);
+    }
+  }
+
+  // Same contract as the Firebase adapter: returning undefined from updateFn aborts.
+  // Runs synchronously, so nothing can interleave between the read and the write.
+  function transaction(refPath, updateFn) {
+    const current = read(refPath);
+    const next = updateFn(current);
+    if (next === undefined) {
+      return { committed: false, value: current };
+    }
+    write(refPath, next);
+    return { committed: true, value: read(refPath) };
+  }
+
+  function generateId() {
+    return `${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  function checkPassword(password, stored) {
+    if (!stored) return false;
+    const [salt, hash] = stored.split(':');
+    const candidate = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex');
+    const expected = Buffer.from(hash, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  }
+
+  function issueTokens(uid, email) {
+    return {
+      idToken: sign({ uid, email, type: 'id' }, TOKEN_TTL_SECONDS),
+      refreshToken: sign({ uid, email, type: 'refresh' }),
+      expiresIn: String(TOKEN_TTL_SECONDS)
+    };
+  }
+
+  function hashResetCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  function findAccountByEmail(email) {
+    const accounts = read('accounts') || {};
+    const normalized = String(email).toLowerCase();
+    const entry = Object.entries(accounts).find(([uid, account]) => account.email === normalized);
+    return entry ? { uid: entry[0], ...entry[1] } : null;
+  }
+
+  return {
+    name: 'local',
+
+    tracks: {
+      list: async () => read('tracks'),
+      get: async (id) => read(`tracks/${id}`),
+      update: async (id, patch) => update(`tracks/${id}`, patch),
+
+      async incrementListens(id) {
+        const { value } = transaction(`tracks/${id}/listens_count`, (count) => (count || 0) + 1);
+        write(`tracks/${id}/last_played_at`, Date.now());
+        return value;
+      }
+    },
+
+    users: {
+      list: async () => read('users'),
+      get: async (uid) => read(`users/${uid}`),
+      update: async (uid, patch) => update(`users/${uid}`, patch),
+
+      getUsernameOwner: async (key) => read(`usernames/${key}`),
+      claimUsername: async (key, uid) => transaction(`usernames/${key}`, (owner) => (
+        owner === null || owner === uid ? uid : undefined
+      )).committed,
+      releaseUsername: async (key, uid) => transaction(`usernames/${key}`, (owner) => (
+        owner === uid ? null : undefined
+      ))
+    },
+
+    oms: {
+      async record(uid, entry, { applyToBalance = true } = {}) {
+        const id = generateId();
+        write(`omsLedger/${uid}/${id}`, { ...entry, createdAt: Date.now() });
+        if (applyToBalance) {
+          write(`users/${uid}/oms`, (read(`users/${uid}/oms`) || 0) + entry.amount);
+        }
+        return { id, balance: read(`users/${uid}/oms`) };
+      },
+
+      async history(uid, { limit, before }) {
+        return Object.entries(read(`omsLedger/${uid}`) || {})
+          .map(([id, entry]) => ({ id, ...entry }))
+          .filter(entry => !before || entry.createdAt < before)
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .slice(0, limit);
+      },
+
+      all: async () => read('omsLedger'),
+
+      async markOpened(uid) {
+        return transaction(`omsLedgerOpened/${uid}`, (current) => (current ? undefined : true)).committed;
+      },
+
+      async setBalance(uid, expected, balance) {
+        return transaction(`users/${uid}/oms`, (current) => (
+          (current || 0) === expected ? balance : undefined
+        )).committed;
+      }
+    },
+
+    messages: {
+      async add(data) {
+        const id = generateId();
+        write(`messages/${id}`, { ...data, timestamp: Date.now() });
+        return id;
+      },
+
+      async get(id) {
+        const message = read(`messages/${id}`);
+        return message ? { id, ...message } : null;
+      },
+
+      update: async (id, patch) => update(`messages/${id}`, patch),
+      remove: async (id) => write(`messages/${id}`, null),
+
+      async react(id, emoji, uid, add, maxKinds = Infinity) {
+        const reactions = read(`messages/${id}/reactions`) || {};
+        const kinds = reactionKinds(reactions);
+        if (add && !kinds.includes(emoji) && kinds.length >= maxKinds) return null;
+        write(`messages/${id}/reactions/${emoji}/${uid}`, add ? true : null);
+        return read(`messages/${id}/reactions`) || {};
+      },
+
+      async listReplies(id, { limit }) {
+        return Object.entries(read('messages') || {})
+          .map(([messageId, message]) => ({ id: messageId, ...message }))
+          .filter(message => message.replyTo?.id === id)
+          .sort((a, b) => a.createdAt - b.createdAt)
+          .slice(0, limit);
+      },
+
+      async list({ limit, before }) {
+        return Object.entries(read('messages') || {})
+          .map(([id, message]) => ({ id, ...message }))
+          .filter(message => !before || message.createdAt < before)
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .slice(0, limit);
+      }
+    },
+
+    presence: {
+      set: async (uid, data) => write(`presence/${uid}`, data),
+      list: async () => read('presence')
+    },
+
+    notifications: {
+      async add(uid, data) {
+        const id = generateId();
+        write(`notifications/${uid}/${id}`, { ...data, read: false, createdAt: Date.now() });
+        return id;
+      },
+
+      async list(uid, { limit, before }) {
+        return Object.entries(read(`notifications/${uid}`) || {})
+          .map(([id, notification]) => ({ id, ...notification }))
+          .filter(notification => !before || notification.createdAt < before)
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .slice(0, limit);
+      },
+
+      markRead: async (uid, ids) => ids.forEach(id => write(`notifications/${uid}/${id}/read`, true))
+    },
+
+    dms: {
+      async addMessage(conversationId, fromUid, toUid, message) {
+        const id = generateId();
+        write(`dm/messages/${conversationId}/${id}`, message);
+        [[fromUid, toUid], [toUid, fromUid]].forEach(([uid, other]) => {
+          update(`dm/inbox/${uid}/${conversationId}`, {
+            with: other,
+            lastMessage: message,
+            updatedAt: message.createdAt
+          });
+        });
+        write(`dm/inbox/${toUid}/${conversationId}/unread`, (read(`dm/inbox/${toUid}/${conversationId}/unread`) || 0) + 1);
+        return id;
+      },
+
+      async listMessages(conversationId, { limit, before }) {
+        return Object.entries(read(`dm/messages/${conversationId}`) || {})
+          .map(([id, message]) => ({ id, ...message }))
+          .filter(message => !before || message.createdAt < before)
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .slice(0, limit);
+      },
+
+      listInbox: async (uid) => read(`dm/inbox/${uid}`),
+      getInboxEntry: async (uid, conversationId) => read(`dm/inbox/${uid}/${conversationId}`),
+      markRead: async (uid, conversationId) => update(`dm/inbox/${uid}/${conversationId}`, {
+        unread: 0,
+        lastReadAt: Date.now()
+      }),
+
+      getBlock: async (uid, blockedUid) => read(`dm/blocks/${uid}/${blockedUid}`),
+      setBlock: async (uid, blockedUid, blocked) => write(`dm/blocks/${uid}/${blockedUid}`, blocked ? Date.now() : null),
+      listBlocks: async (uid) => read(`dm/blocks/${uid}`)
+    },
+
+    authSessions: {
+      get: async (key) => read(`authSessions/${key}`),
+      set: async (key, data) => write(`authSessions/${key}`, data),
+      update: async (key, patch) => update(`authSessions/${key}`, patch),
+      remove: async (key) => write(`authSessions/${key}`, null)
+    },
+
+    loginAttempts: {
+      get: async (key) => read(`security/loginAttempts/${key}`),
+      update: async (key, updateFn) => transaction(`security/loginAttempts/${key}`, updateFn),
+      remove: async (key) => write(`security/loginAttempts/${key}`, null)
+    },
+
+    listens: {
+      getSession: async (id) => read(`listens/sessions/${id}`),
+      createSession: async (id, data) => write(`listens/sessions/${id}`, data),
+      removeSession: async (id) => write(`listens/sessions/${id}`, null),
+      updateSession: async (id, updateFn) => transaction(`listens/sessions/${id}`, updateFn),
+      updateLedger: async (key, updateFn) => transaction(`listens/ledger/${key}`, updateFn)
+    },
+
+    moderation: {
+      getRole: async (uid) => read(`moderation/roles/${uid}`),
+      setRole: async (uid, role) => write(`moderation/roles/${uid}`, role),
+      listRoles: async () => read('moderation/roles'),
+
+      getSanction: async (uid) => read(`moderation/sanctions/${uid}`),
+      setSanction: async (uid, data) => write(`moderation/sanctions/${uid}`, data),
+      listSanctions: async () => read('moderation/sanctions'),
+
+      getReport: async (id) => read(`moderation/reports/${id}`),
+      setReport: async (id, data) => write(`moderation/reports/${id}`, data),
+      updateReport: async (id, patch) => update(`moderation/reports/${id}`, patch),
+      listReports: async () => read('moderation/reports'),
+
+      getFilters: async () => read('moderation/filters'),
+      setFilters: async (data) => write('moderation/filters', data),
+
+      async addLog(entry) {
+        const id = generateId();
+        write(`moderation/log/${id}`, { ...entry, createdAt: Date.now() });
+        return id;
+      },
+
+      async listLog({ limit, before }) {
+        return Object.entries(read('moderation/log') || {})
+          .map(([id, entry]) => ({ id, ...entry }))
+          .filter(entry => !before || entry.createdAt < before)
+          .sort((a, b) => b.createdAt - a.createdAt)
+          .slice(0, limit);
+      }
+    },
+
+    projects: {
+      list: async () => read('projects'),
+      get: async (id) => read(`projects/${id}`),
+
+      async create(data) {
+        const id = generateId();
+        write(`projects/${id}`, data);
+        return id;
+      },
+
+      update: async (id, patch) => update(`projects/${id}`, patch),
+      transaction: async (id, updateFn) => transaction(`projects/${id}`, updateFn),
+      remove: async (id) => write(`projects/${id}`, null),
+
+      getUpload: async (id, uploadId) => read(`projectUploads/${id}/${uploadId}`),
+      setUpload: async (id, uploadId, data) => write(`projectUploads/${id}/${uploadId}`, data),
+      // Removes a staged upload and resolves to it, or to null if it's already gone
+      async claimUpload(id, uploadId) {
+        let claimed = null;
+        transaction(`projectUploads/${id}/${uploadId}`, (current) => {
+          claimed = current;
+          return current ? null : undefined;
+        });
+        return claimed;
+      },
+      removeUploads: async (id) => write(`projectUploads/${id}`, null),
+
+      setCollaborator: async (id, uid, data) => write(`projects/${id}/collaborators/${uid}`, data),
+
+      getInvite: async (id, inviteId) => read(`projectInvites/${id}/${inviteId}`),
+      setInvite: async (id, inviteId, data) => write(`projectInvites/${id}/${inviteId}`, data),
+      removeInvite: async (id, inviteId) => write(`projectInvites/${id}/${inviteId}`, null),
+      listInvites: async (id) => read(`projectInvites/${id}`),
+      removeInvites: async (id) => write(`projectInvites/${id}`, null)
+    },
+
+    // Audio analysis results (see analysis.js): tracks/<trackId>, projects/<projectId>/<versionId>
+    analysis: {
+      get: async (key) => read(`audioAnalysis/${key}`),
+      set: async (key, data) => write(`audioAnalysis/${key}`, data),
+      remove: async (key) => write(`audioAnalysis/${key}`, null)
+    },
+
+    // Uploaded files live on disk under uploadDir and are served from /uploads
+    files: {
+      directory: uploadDir,
+
+      async save(filePath, buffer) {
+        const target = path.join(uploadDir, ...segments(filePath));
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, buffer);
+        return { url: `/uploads/${segments(filePath).map(encodeURIComponent).join('/')}` };
+      },
+
+      open: (filePath) => fs.createReadStream(path.join(uploadDir, ...segments(filePath))),
+
+      removeAll: (prefix) => fs.promises.rm(path.join(uploadDir, ...segments(prefix)), { recursive: true, force: true })
+    },
+
+    games: {
+      setSession: async (gameId, uid, data) => write(`3d/${gameId}/sessions/${uid}`, data),
+      updateSession: async (gameId, uid, updateFn) => transaction(`3d/${gameId}/sessions/${uid}`, updateFn),
+
+      // board: 'highscores' (all time), 'seasons/<id>', 'daily/<day>' or 'weekly/<week>'
+      getEntry: async (gameId, board, uid) => read(`3d/${gameId}/${board}/${uid}`),
+      updateEntry: async (gameId, board, uid, updateFn) => transaction(`3d/${gameId}/${board}/${uid}`, updateFn),
+
+      async top(gameId, board, limit) {
+        return Object.entries(read(`3d/${gameId}/${board}`) || {})
+          .map(([id, entry]) => ({ id, ...entry }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+      },
+
+      // Number of entries with a higher score
+      async countAbove(gameId, board, score) {
+        return Object.values(read(`3d/${gameId}/${board}`) || {}).filter(entry => entry.score > score).length;
+      },
+
+      getSeason: async (gameId) => read(`3d/${gameId}/season`),
+      updateSeason: async (gameId, updateFn) => transaction(`3d/${gameId}/season`, updateFn),
+      getReplay: async (gameId, board, uid) => read(`3d/${gameId}/replays/${board}/${uid}`),
+      setReplay: async (gameId, board, uid, data) => write(`3d/${gameId}/replays/${board}/${uid}`, data),
+
+      getArchive: async (gameId, seasonId) => read(`3d/${gameId}/archive/${seasonId}`),
+      setArchive: async (gameId, seasonId, data) => write(`3d/${gameId}/archive/${seasonId}`, data),
+      listArchives: async (gameId) => read(`3d/${gameId}/archive`)
+    },
+
+    auth: {
+      async verifyIdToken(idToken) {
+        const payload = verify(idToken);
+        if (!payload || payload.type !== 'id') {
+          throw new Error('Invalid or expired ID token');
+        }
+        return { uid: payload.uid, email: payload.email, email_verified: true };
+      },
+
+      async signInWithPassword(email, password) {
+        const account = findAccountByEmail(email);
+        if (!account) return { ok: false, error: 'EMAIL_NOT_FOUND' };
+        if (!checkPassword(password, account.passwordHash)) return { ok: false, error: 'INVALID_PASSWORD' };
+
+        return {
+          ok: true,
+          data: {
+            ...issueTokens(account.uid, account.email),
+            localId: account.uid,
+            email: account.email
+          }
+        };
+      },
+
+      async refreshIdToken(refreshToken) {
+        const payload = verify(refreshToken);
+        if (!payload || payload.type !== 'refresh') {
+          return { ok: false, error: 'INVALID_REFRESH_TOKEN' };
+        }
+        return { ok: true, data: issueTokens(payload.uid, payload.email) };
+      },
+
+      async signUp(email, password) {
+        const normalized = String(email).toLowerCase();
+        if (findAccountByEmail(normalized)) return { ok: false, error: 'EMAIL_EXISTS' };
+
+        const uid = generateId();
+        write(`accounts/${uid}`, { email: normalized, passwordHash: hashPassword(password) });
+        return {
+          ok: true,
+          data: { ...issueTokens(uid, normalized), localId: uid, email: normalized }
+        };
+      },
+
+      deleteAccount: async (uid) => write(`accounts/${uid}`, null),
+
+      // There is no mail server offline, so the code is printed to the server log
+      async sendPasswordReset(email) {
+        const account = findAccountByEmail(email);
+        if (!account) return { ok: false, error: 'EMAIL_NOT_FOUND' };
+
+        const code = crypto.randomBytes(16).toString('hex');
+        write(`passwordResets/${hashResetCode(code)}`, { uid: account.uid, expiresAt: Date.now() + RESET_CODE_TTL_MS });
+        console.log(`🔑 Password reset code for ${account.email}: ${code}`);
+        return { ok: true };
+      },
+
+      async confirmPasswordReset(code, password) {
+        const key = `passwordResets/${hashResetCode(code)}`;
+        const reset = read(key);
+        if (!reset) return { ok: false, error: 'INVALID_OOB_CODE' };
+
+        write(key, null);
+        if (reset.expiresAt <= Date.now()) return { ok: false, error: 'EXPIRED_OOB_CODE' };
+        if (!read(`accounts/${reset.uid}`)) return { ok: false, error: 'INVALID_OOB_CODE' };
+
+        write(`accounts/${reset.uid}/passwordHash`, hashPassword(password));
+        return { ok: true };
+      }
+    }
+  };
+}
+
+module.exports = { createLocalStore };
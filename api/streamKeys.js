@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+// RTMP publish keys for multiplayer sessions
+// Every hosted session gets a public stream name: spectators play live/<streamName>.flv and
+// OBS publishes to rtmp://<host>:1935/live with the stream key "<streamName>?key=<key>".
+// Publish keys are only issued to a host who was signed in when creating the session, and are
+// bound to that uid. The host fetches, rotates and revokes the key over the REST API (it is
+// never sent over the WebSocket, which spectators share). Only a hash of the current key is
+// kept, and everything is dropped when the session ends, so keys expire with the session.
+//
+// Kept in memory, like the sessions themselves: a restart ends every session anyway.
+
+const REJECTION_MESSAGES = {
+  unknown_stream: 'No session is streaming under this name',
+  no_key: 'The host has not issued a stream key',
+  key_revoked: 'The stream key was revoked',
+  invalid_key: 'Wrong or outdated stream key',
+  already_live: 'The session is already live from another publisher'
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function createStreamKeys() {
+  // sessionCode -> { streamName, hostUid, keyHash, issuedAt, revokedAt, lastRejection }
+  const entries = new Map();
+  // streamName -> sessionCode
+  const streamNames = new Map();
+
+  function failure(status, error) {
+    return { ok: false, status, error };
+  }
+
+  // Called when a session is hosted; hostUid is null for signed-out hosts (no key can be issued)
+  function open(sessionCode, hostUid) {
+    let streamName;
+    do {
+      streamName = crypto.randomBytes(12).toString('base64url');
+    } while (streamNames.has(streamName));
+
+    entries.set(sessionCode, {
+      streamName,
+      hostUid: hostUid || null,
+      keyHash: null,
+      issuedAt: null,
+      revokedAt: null,
+      lastRejection: null
+    });
+    streamNames.set(streamName, sessionCode);
+    return streamName;
+  }
+
+  function close(sessionCode) {
+    const entry = entries.get(sessionCode);
+    if (!entry) return;
+    streamNames.delete(entry.streamName);
+    entries.delete(sessionCode);
+  }
+
+  function streamNameOf(sessionCode) {
+    return entries.get(sessionCode)?.streamName || null;
+  }
+
+  function hostEntry(sessionCode, uid) {
+    const entry = entries.get(sessionCode);
+    if (!entry) {
+      return { failure: failure(404, 'Session not found') };
+    }
+    if (!entry.hostUid) {
+      return { failure: failure(403, 'Sign in before hosting to stream to this session') };
+    }
+    if (entry.hostUid !== uid) {
+      return { failure: failure(403, 'Only the session host can manage its stream key') };
+    }
+    return { entry };
+  }
+
+  function statusOf(entry) {
+    return {
+      streamName: entry.streamName,
+      hasKey: Boolean(entry.keyHash),
+      issuedAt: entry.issuedAt,
+      revokedAt: entry.revokedAt,
+      lastRejection: entry.lastRejection
+    };
+  }
+
+  function status(sessionCode, uid) {
+    const { entry, failure } = hostEntry(sessionCode, uid);
+    if (failure) return failure;
+    return { ok: true, data: statusOf(entry) };
+  }
+
+  // Issues a new key, replacing the current one. The key is only ever returned here.
+  function issue(sessionCode, uid) {
+    const { entry, failure } = hostEntry(sessionCode, uid);
+    if (failure) return failure;
+
+    const key = crypto.randomBytes(24).toString('base64url');
+    entry.keyHash = hashKey(key);
+    entry.issuedAt = Date.now();
+    entry.revokedAt = null;
+    return {
+      ok: true,
+      data: { ...statusOf(entry), key, publishKey: `${entry.streamName}?key=${key}` }
+    };
+  }
+
+  function revoke(sessionCode, uid) {
+    const { entry, failure } = hostEntry(sessionCode, uid);
+    if (failure) return failure;
+
+    entry.keyHash = null;
+    entry.revokedAt = Date.now();
+    return { ok: true, data: statusOf(entry) };
+  }
+
+  // Checks a publish attempt. Resolves the session even when rejecting, so the host can be told.
+  // Returns { ok: true, sessionCode, uid } or { ok: false, sessionCode, reason, message }
+  function authorize(streamName, key) {
+    const sessionCode = streamNames.get(streamName) || null;
+    const entry = sessionCode && entries.get(sessionCode);
+
+    let reason = null;
+    if (!entry) {
+      reason = 'unknown_stream';
+    } else if (!entry.keyHash) {
+      reason = entry.revokedAt ? 'key_revoked' : 'no_key';
+    } else if (!safeEqual(hashKey(String(key || '')), entry.keyHash)) {
+      reason = 'invalid_key';
+    }
+
+    if (reason) {
+      return reject(sessionCode, reason);
+    }
+    return { ok: true, sessionCode, uid: entry.hostUid };
+  }
+
+  // Records a rejected publish on the session (also for reasons decided by the caller)
+  function reject(sessionCode, reason) {
+    const message = REJECTION_MESSAGES[reason] || reason;
+    const entry = sessionCode && entries.get(sessionCode);
+    if (entry) {
+      entry.lastRejection = { reason, message, at: Date.now() };
+    }
+    return { ok: false, sessionCode: entry ? sessionCode : null, reason, message };
+  }
+
+  return { open, close, streamNameOf, status, issue, revoke, authorize, reject };
+}
+
+module.exports = { createStreamKeys };
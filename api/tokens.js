@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// Compact HMAC-signed tokens: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+// Used for local-store auth, stream URLs and other short-lived server-issued grants.
+function createSigner(secret) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  function hmac(body) {
+    return crypto.createHmac('sha256', key).update(body).digest('base64url');
+  }
+
+  // ttlSeconds adds an `exp` claim (unix seconds)
+  function sign(payload, ttlSeconds) {
+    const claims = ttlSeconds
+      ? { ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds }
+      : payload;
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${body}.${hmac(body)}`;
+  }
+
+  // Returns the payload of a valid, unexpired token or null
+  function verify(token) {
+    if (typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = hmac(body);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  }
+
+  return { sign, verify };
+}
+
+module.exports = { createSigner };